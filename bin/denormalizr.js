@@ -0,0 +1,3 @@
+#!/usr/bin/env node
+
+require('../lib/cli').main(process.argv.slice(2));
@@ -0,0 +1,403 @@
+import { schema, Schema } from 'normalizr';
+
+declare const schemaType: unique symbol;
+
+/**
+ * The id of an entity.
+ */
+export type Id = string | number;
+
+/**
+ * The normalized entities, keyed by entity key and id.
+ */
+export interface NormalizedEntities {
+  [key: string]: { [id: string]: any } | undefined;
+}
+
+/**
+ * The Immutable collections accepted in place of plain objects and arrays.
+ * They are described by their shape, so that Immutable is not required.
+ */
+export interface ImmutableMap {
+  getIn(keyPath: any[], notSetValue?: any): any;
+  toJS(): any;
+}
+
+export interface ImmutableList extends ImmutableMap {
+  toArray(): any[];
+}
+
+/**
+ * The Immutable result of denormalizing with Immutable entities.
+ */
+export type ImmutableDenormalized = any;
+
+/**
+ * Typed versions of the normalizr schemas. They are the same objects at
+ * runtime, cast to describe the entities and their relations, e.g.:
+ *
+ *   const userSchema = new schema.Entity('users') as EntitySchema<User>;
+ *   const articleSchema = new schema.Entity('articles', {
+ *     author: userSchema,
+ *   }) as EntitySchema<Article, { author: typeof userSchema }>;
+ *
+ * `T` is the shape of the normalized entity, and `R` the schemas of its
+ * relations, keyed by attribute.
+ */
+export interface EntitySchema<T, R = {}> extends schema.Entity {
+  readonly [schemaType]: { entity: T; relations: R };
+}
+
+export interface ArraySchema<S> extends schema.Array {
+  readonly [schemaType]: { array: S };
+}
+
+export interface ValuesSchema<S> extends schema.Values {
+  readonly [schemaType]: { values: S };
+}
+
+/**
+ * `M` is the schemas of the union, keyed by the values of its schema
+ * attribute.
+ */
+export interface UnionSchema<M> extends schema.Union {
+  readonly [schemaType]: { union: M };
+}
+
+export type Order = 'asc' | 'desc';
+
+/**
+ * Let the entity schemas define the lookup relations and reverse their
+ * `processStrategy`.
+ */
+declare module 'normalizr' {
+  namespace schema {
+    interface Entity {
+      define(definition: { [key: string]: AnySchema }): void;
+      unprocessStrategy?: TransformFunction;
+    }
+  }
+}
+
+/**
+ * A relation found by looking up the entities of `S` referring to the
+ * entity. See `hasMany`.
+ */
+export interface HasManyRelation<S> {
+  readonly [schemaType]: { hasMany: S };
+  readonly schema: S;
+  readonly attribute: string;
+  readonly orderBy?: string;
+  readonly order?: Order;
+}
+
+/**
+ * A relation to the entities of `S` through join entities. See `through`.
+ */
+export interface ThroughRelation<S> {
+  readonly [schemaType]: { through: S };
+  readonly joinSchema: schema.Entity;
+  readonly attribute: string;
+  readonly targetAttribute: string;
+  readonly schema: S;
+  readonly attach?: string;
+}
+
+/**
+ * The schemas accepted by denormalizr: the normalizr ones, their typed
+ * versions and the lookup relations.
+ */
+export type AnySchema =
+  | Schema
+  | EntitySchema<any, any>
+  | ArraySchema<any>
+  | ValuesSchema<any>
+  | UnionSchema<any>
+  | HasManyRelation<any>
+  | ThroughRelation<any>
+  | ReadonlyArray<AnySchema>
+  | { [key: string]: AnySchema };
+
+type DenormalizedEntity<T, R> = {
+  [K in keyof T]: K extends keyof R ? Denormalized<R[K]> : T[K];
+} & {
+  [K in Exclude<keyof R, keyof T>]: Denormalized<R[K]>;
+};
+
+type DenormalizedTyped<B> =
+  B extends { entity: infer T; relations: infer R } ? DenormalizedEntity<T, R> :
+  B extends { array: infer S } ? Array<Denormalized<S>> :
+  B extends { values: infer S } ? { [key: string]: Denormalized<S> } :
+  B extends { union: infer M } ? Denormalized<M[keyof M]> :
+  B extends { hasMany: infer S } ? Array<Denormalized<S>> :
+  B extends { through: infer S } ? Array<Denormalized<S>> :
+  any;
+
+/**
+ * The type of the entities denormalized with the schema `S`. The untyped
+ * normalizr schemas are denormalized as `any`.
+ */
+export type Denormalized<S> =
+  S extends { readonly [schemaType]: infer B } ? DenormalizedTyped<B> :
+  S extends ReadonlyArray<infer I> ? Array<Denormalized<I>> :
+  S extends schema.Entity | schema.Array | schema.Values | schema.Union | schema.Object ? any :
+  S extends object ? { [K in keyof S]: Denormalized<S[K]> } :
+  any;
+
+/**
+ * The context the `transform` and `unprocess` functions are called with.
+ */
+export interface TransformContext {
+  key: string;
+  id: Id;
+  schema: schema.Entity;
+}
+
+export type TransformFunction = (entity: any, context: TransformContext) => any;
+
+/**
+ * Filters, sorts, paginates or aggregates an array relation.
+ */
+export interface RelationQuery {
+  where?: { [attribute: string]: any } | ((entity: any, id: Id) => any);
+  orderBy?: string | ((entity: any, id: Id) => any);
+  order?: Order;
+  limit?: number;
+  offset?: number;
+  aggregate?: 'count' | 'exists' | 'first' | 'last' | ((value: any, entity: any, id: Id) => any);
+  initial?: any;
+}
+
+export interface InverseRelation {
+  schema: schema.Entity;
+  attribute: string;
+}
+
+/**
+ * A selection set, e.g. `{ title: true, author: { name: true } }`.
+ */
+export interface Selection {
+  [attribute: string]: boolean | Selection;
+}
+
+export interface DenormalizeOptions {
+  memoized?: boolean;
+  maxDepth?: number;
+  select?: Selection;
+  onMissing?: 'id' | 'null' | 'omit' | 'throw' | ((id: Id, schema: schema.Entity) => any);
+  cycles?: 'reference' | 'id' | 'ref';
+  transform?: { [key: string]: TransformFunction };
+  models?: { [key: string]: new (entity: any) => any };
+  unprocess?: { [key: string]: TransformFunction };
+  relations?: { [key: string]: { [attribute: string]: RelationQuery } };
+  inverses?: { [key: string]: { [attribute: string]: InverseRelation } };
+}
+
+export interface DenormalizeAllOptions extends DenormalizeOptions {
+  where?: { [attribute: string]: any } | ((entity: any, id: Id) => any);
+  orderBy?: string | ((entity: any, id: Id) => any);
+  order?: Order;
+  limit?: number;
+  offset?: number;
+}
+
+export interface DenormalizerOptions extends DenormalizeOptions {
+  maxEntries?: number;
+}
+
+export interface Dependencies {
+  [key: string]: Id[];
+}
+
+export interface DenormalizedWithDependencies<T> {
+  result: T;
+  dependencies: Dependencies;
+}
+
+export interface SelectorOptions<State> extends DenormalizeOptions {
+  getEntities?: (state: State, ...args: any[]) => NormalizedEntities | ImmutableMap;
+}
+
+export type Selector<State, T> = (state: State, ...args: any[]) => T;
+
+/**
+ * A store-like source of entities, e.g. a Redux store.
+ */
+export interface EntitiesSource<State> {
+  subscribe(listener: () => void): () => void;
+  getState(): State;
+}
+
+export interface Denormalizer {
+  denormalize<S extends AnySchema>(
+    input: any,
+    entities: NormalizedEntities,
+    schema: S,
+    options?: DenormalizerOptions,
+  ): Denormalized<S>;
+  denormalize<S extends AnySchema>(
+    input: any,
+    entities: ImmutableMap,
+    schema: S,
+    options?: DenormalizerOptions,
+  ): ImmutableDenormalized;
+  denormalizeAll<S extends AnySchema>(
+    entities: NormalizedEntities,
+    schema: S,
+    options?: DenormalizeAllOptions,
+  ): Array<Denormalized<S>>;
+  denormalizeAll<S extends AnySchema>(
+    entities: ImmutableMap,
+    schema: S,
+    options?: DenormalizeAllOptions,
+  ): ImmutableList;
+  denormalizeWithDependencies<S extends AnySchema>(
+    input: any,
+    entities: NormalizedEntities,
+    schema: S,
+    options?: DenormalizerOptions,
+  ): DenormalizedWithDependencies<Denormalized<S>>;
+  createSelector<State, S extends AnySchema>(
+    getIds: (state: State, ...args: any[]) => any,
+    schema: S,
+    options?: SelectorOptions<State>,
+  ): Selector<State, Denormalized<S>>;
+  clear(key?: string, id?: Id): void;
+  prune(entities: NormalizedEntities | ImmutableMap): void;
+  reset(): void;
+}
+
+/**
+ * The cache of `denormalize`, with a `Map` for each entity key from the ids
+ * to the cached results of the entities.
+ */
+export const cache: { [key: string]: Map<string, object> | undefined };
+
+export function clear(key?: string, id?: Id): void;
+
+export function prune(entities: NormalizedEntities | ImmutableMap): void;
+
+export function denormalize<S extends AnySchema>(
+  input: any,
+  entities: NormalizedEntities,
+  schema: S,
+  options?: DenormalizeOptions,
+): Denormalized<S>;
+export function denormalize<S extends AnySchema>(
+  input: any,
+  entities: ImmutableMap,
+  schema: S,
+  options?: DenormalizeOptions,
+): ImmutableDenormalized;
+
+export function denormalizeAll<S extends AnySchema>(
+  entities: NormalizedEntities,
+  schema: S,
+  options?: DenormalizeAllOptions,
+): Array<Denormalized<S>>;
+export function denormalizeAll<S extends AnySchema>(
+  entities: ImmutableMap,
+  schema: S,
+  options?: DenormalizeAllOptions,
+): ImmutableList;
+
+export function denormalizeWithDependencies<S extends AnySchema>(
+  input: any,
+  entities: NormalizedEntities,
+  schema: S,
+  options?: DenormalizeOptions,
+): DenormalizedWithDependencies<Denormalized<S>>;
+
+export function createDenormalizer(defaultOptions?: DenormalizerOptions): Denormalizer;
+
+export function createDenormalizeSelector<State, S extends AnySchema>(
+  getIds: (state: State, ...args: any[]) => any,
+  schema: S,
+  options?: SelectorOptions<State>,
+): Selector<State, Denormalized<S>>;
+
+export function watch<State, S extends AnySchema>(
+  entitiesSource: EntitiesSource<State>,
+  id: Id,
+  schema: S,
+  callback: (value: Denormalized<S>, previous: Denormalized<S>) => void,
+  options?: SelectorOptions<State>,
+): () => void;
+
+export function relink<T>(denormalized: T, schema: AnySchema): T;
+
+export function hasMany<S extends AnySchema>(
+  schema: S,
+  attribute: string,
+  options?: { orderBy?: string; order?: Order },
+): HasManyRelation<S>;
+
+export function through<T, R, K extends keyof R>(
+  joinSchema: EntitySchema<T, R>,
+  attribute: string,
+  targetAttribute: K,
+  options?: { attach?: string },
+): ThroughRelation<R[K]>;
+export function through<S extends AnySchema>(
+  joinSchema: schema.Entity,
+  attribute: string,
+  targetAttribute: string,
+  options: { schema: S; attach?: string },
+): ThroughRelation<S>;
+export function through(
+  joinSchema: schema.Entity,
+  attribute: string,
+  targetAttribute: string,
+  options?: { attach?: string },
+): ThroughRelation<any>;
+
+export interface SchemaRelation {
+  from: string;
+  attribute: string;
+  to: string;
+  type: 'one' | 'many' | 'hasMany' | 'through';
+  through?: string;
+}
+
+/**
+ * A group of entities reaching each other through their relations, with the
+ * relations between them.
+ */
+export interface SchemaCycle {
+  entities: string[];
+  relations: SchemaRelation[];
+}
+
+/**
+ * The graph of the entities of a schema and their relations.
+ */
+export interface SchemaGraph {
+  entities: string[];
+  relations: SchemaRelation[];
+  cycles: SchemaCycle[];
+  toDOT(): string;
+  toMermaid(): string;
+}
+
+export function inspectSchema(rootSchema: AnySchema): SchemaGraph;
+
+/**
+ * The path to a value, as a list of attributes or indexes.
+ */
+export type KeyPath = ReadonlyArray<string | number>;
+
+/**
+ * Helpers reading and writing plain objects and Immutable collections
+ * alike. `setIn` and `deleteIn` return the new collection when Immutable,
+ * and mutate plain objects.
+ */
+export function isImmutable(object: any): object is ImmutableMap;
+
+export function getIn(object: any, keyPath: KeyPath): any;
+
+export function setIn<T>(object: T, keyPath: KeyPath, value: any): T;
+
+export function deleteIn<T>(object: T, keyPath: KeyPath): T;
+
+export function pick<T extends ImmutableMap>(object: T, keys: ReadonlyArray<string>): T;
+export function pick<T, K extends keyof T>(object: T, keys: ReadonlyArray<K>): Pick<T, K>;
@@ -0,0 +1,33 @@
+import { AnySchema, Denormalized, Id, ImmutableMap, NormalizedEntities } from './index';
+
+/**
+ * Returns the entities of the state of the react-redux store.
+ */
+export type SelectEntities = (state: any) => NormalizedEntities | ImmutableMap;
+
+/**
+ * A function or class component, described by its shape so that the
+ * React typings are not required.
+ */
+export type ComponentType<P> = ((props: P) => any) | (new (props: P) => any);
+
+export interface DenormalizedComponent<P> {
+  (props: P): any;
+  displayName: string;
+}
+
+/**
+ * The ids are denormalized with `schema`: give an array schema, e.g.
+ * `[articleSchema]`, with an array of ids.
+ */
+export function useDenormalized<S extends AnySchema>(
+  idOrIds: Id | ReadonlyArray<Id>,
+  schema: S,
+  selectEntities?: SelectEntities,
+): Denormalized<S>;
+
+export function withDenormalized<P, S extends AnySchema>(
+  getIds: (props: P) => Id | ReadonlyArray<Id>,
+  schema: S,
+  options?: { prop?: string; selectEntities?: SelectEntities },
+): (Component: ComponentType<any>) => DenormalizedComponent<P>;
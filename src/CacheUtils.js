@@ -0,0 +1,142 @@
+import isObject from 'lodash/isObject';
+import { getIn } from './ImmutableUtils';
+
+/**
+ * Helpers to manage the memoization cache.
+ *
+ * The cache holds a `Map` for each entity key, from the entity ids to their
+ * entries. Entries are kept ordered from the least to the most recently used,
+ * so that the oldest ones can be evicted first.
+ *
+ * The last result denormalized with each root schema is kept aside, so that
+ * the values that are not entities can be compared to it.
+ */
+
+const lastResults = new WeakMap();
+
+/**
+ * Return the cache entry of an entity, creating it when missing or when the
+ * entity changed since it was cached. The entry becomes the most recently
+ * used one, and the least recently used entries of `key` are evicted when
+ * there are more than `maxEntries`.
+ *
+ * @param  {Object} cache
+ * @param  {string} key
+ * @param  {number|string} id
+ * @param  {Object, Immutable.Map} entity
+ * @param  {number} maxEntries
+ * @return {Object}
+ */
+export function getEntry(cache, key, id, entity, maxEntries) {
+  if (!cache[key]) {
+    cache[key] = new Map();
+  }
+
+  const entries = cache[key];
+  const entryId = `${id}`;
+  let entry = entries.get(entryId);
+
+  if (!entry || entry.entity !== entity) {
+    entry = {
+      entity,
+      denormalized: {},
+      resolved: {},
+    };
+  }
+
+  entries.delete(entryId);
+  entries.set(entryId, entry);
+
+  if (typeof maxEntries === 'number') {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Remove the entry of the given entity, every entry of `key` when no id is
+ * given, or every entry of the cache when no key is given.
+ *
+ * @param  {Object} cache
+ * @param  {string} key
+ * @param  {number|string} id
+ */
+export function clearEntries(cache, key, id) {
+  if (typeof key === 'undefined') {
+    Object.keys(cache).forEach((cacheKey) => {
+      delete cache[cacheKey];
+    });
+    return;
+  }
+
+  if (!cache[key]) {
+    return;
+  }
+
+  if (typeof id === 'undefined') {
+    delete cache[key];
+  } else {
+    cache[key].delete(`${id}`);
+  }
+}
+
+/**
+ * Remove the entries of the entities that no longer exist in `entities`.
+ *
+ * @param  {Object} cache
+ * @param  {Object, Immutable.Map} entities
+ */
+export function pruneEntries(cache, entities) {
+  Object.keys(cache).forEach((key) => {
+    const table = getIn(entities, [key]);
+
+    if (!table) {
+      delete cache[key];
+      return;
+    }
+
+    cache[key].forEach((entry, id) => {
+      if (typeof getIn(table, [id]) === 'undefined') {
+        cache[key].delete(id);
+      }
+    });
+  });
+}
+
+/**
+ * Return the last result denormalized with the given root schema, used as
+ * the reference for the values that are not cached by id.
+ *
+ * @param  {Object} cache
+ * @param  {Object} schema
+ * @return {Any}
+ */
+export function getLastResult(cache, schema) {
+  if (!isObject(schema) || !lastResults.has(cache)) {
+    return undefined;
+  }
+
+  return lastResults.get(cache).get(schema);
+}
+
+/**
+ * Save the last result denormalized with the given root schema.
+ *
+ * @param  {Object} cache
+ * @param  {Object} schema
+ * @param  {Any} result
+ */
+export function setLastResult(cache, schema, result) {
+  if (!isObject(schema)) {
+    return;
+  }
+
+  if (!lastResults.has(cache)) {
+    lastResults.set(cache, new WeakMap());
+  }
+
+  lastResults.get(cache).set(schema, result);
+}
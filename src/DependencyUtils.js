@@ -0,0 +1,116 @@
+import { getIn } from './ImmutableUtils';
+
+/**
+ * Helpers to collect the entities a result is denormalized from.
+ *
+ * The collected entities are kept in a `Map` for each entity key, from the
+ * string of each id to the id itself, so that the ids are only added once
+ * whatever their type. The tables searched for the relations found by
+ * lookup are collected too, as adding an entity to them may change the
+ * result.
+ */
+
+/**
+ * Return an empty collection of dependencies.
+ *
+ * @return {Object}
+ */
+export function createDependencies() {
+  return {
+    entities: new Map(),
+    tables: new Set(),
+  };
+}
+
+/**
+ * Add the entity `key` with the given id to the dependencies, if they are
+ * being collected.
+ *
+ * @param  {Object} dependencies
+ * @param  {string} key
+ * @param  {number|string} id
+ */
+export function addDependency(dependencies, key, id) {
+  if (!dependencies || id === null || typeof id === 'undefined') {
+    return;
+  }
+
+  if (!dependencies.entities.has(key)) {
+    dependencies.entities.set(key, new Map());
+  }
+
+  const ids = dependencies.entities.get(key);
+  const ref = `${id}`;
+
+  if (!ids.has(ref)) {
+    ids.set(ref, id);
+  }
+}
+
+/**
+ * Add the whole table of `key` to the dependencies, if they are being
+ * collected.
+ *
+ * @param  {Object} dependencies
+ * @param  {string} key
+ */
+export function addTableDependency(dependencies, key) {
+  if (dependencies) {
+    dependencies.tables.add(key);
+  }
+}
+
+/**
+ * Return the dependencies as an object of the ids of each entity key, in
+ * the order they were found.
+ *
+ * @param  {Object} dependencies
+ * @return {Object}
+ */
+export function toDependencyObject(dependencies) {
+  const object = {};
+
+  dependencies.entities.forEach((ids, key) => {
+    object[key] = [];
+    ids.forEach(id => object[key].push(id));
+  });
+
+  return object;
+}
+
+/**
+ * Return the references of the entities and tables the dependencies refer
+ * to, as they are in `entities`.
+ *
+ * @param  {Object} dependencies
+ * @param  {Object, Immutable.Map} entities
+ * @return {Array}
+ */
+export function getDependencyReferences(dependencies, entities) {
+  const references = [];
+
+  dependencies.tables.forEach((key) => {
+    references.push({ path: [key], value: getIn(entities, [key]) });
+  });
+
+  dependencies.entities.forEach((ids, key) => {
+    ids.forEach((id) => {
+      const path = [key, id];
+      references.push({ path, value: getIn(entities, path) });
+    });
+  });
+
+  return references;
+}
+
+/**
+ * Check whether each entity and table still has the same reference in
+ * `entities`.
+ *
+ * @param  {Array} references
+ * @param  {Object, Immutable.Map} entities
+ * @return {Boolean}
+ */
+export function haveSameReferences(references, entities) {
+  return references.every(({ path, value }) => getIn(entities, path) === value);
+}
@@ -0,0 +1,41 @@
+/**
+ * A relation to the entities of `schema` whose `attribute` holds the id of
+ * the entity, e.g. the comments of an article, stored as comments with an
+ * `articleId`. The relation is not stored with the entity: it is found by
+ * looking up the entities when denormalizing.
+ */
+export default class HasMany {
+  /**
+   * @param {schema.Entity} schema
+   * @param {string} attribute
+   * @param {object} options `orderBy`, the attribute the entities are sorted
+   *                         by, and `order`, either `'asc'` or `'desc'`
+   */
+  constructor(schema, attribute, options = {}) {
+    this.schema = schema;
+    this.attribute = attribute;
+    this.orderBy = options.orderBy;
+    this.order = options.order;
+  }
+
+  /**
+   * The related entities found in the data are normalized as an array, so
+   * that normalizr adds them to their table.
+   */
+  normalize(input, parent, key, visit, addEntity) {
+    return visit(input, parent, key, [this.schema], addEntity);
+  }
+}
+
+/**
+ * Declare a relation to the entities of `schema` referring to the entity
+ * with `attribute`.
+ *
+ * @param   {schema.Entity} schema
+ * @param   {string} attribute
+ * @param   {object} options
+ * @returns {HasMany}
+ */
+export function hasMany(schema, attribute, options) {
+  return new HasMany(schema, attribute, options);
+}
@@ -1,4 +1,5 @@
 import reduce from 'lodash/reduce';
+import lodashPick from 'lodash/pick';
 
 /**
  * Helpers to enable Immutable-JS compatibility.
@@ -16,7 +17,7 @@ function stringifiedArray(array) {
  * @return {Boolean}
  */
 export function isImmutable(object) {
-  return object && !!object.getIn;
+  return !!object && !!object.getIn;
 }
 
 /**
@@ -28,13 +29,13 @@ export function isImmutable(object) {
  * @return {Any}
  */
 export function getIn(object, keyPath) {
-  if (object.getIn) {
+  if (isImmutable(object)) {
     return object.getIn(stringifiedArray(keyPath));
   }
 
   return reduce(
     keyPath,
-    (memo, key) => memo[key],
+    (memo, key) => (memo === null || typeof memo === 'undefined' ? undefined : memo[key]),
     object,
   );
 }
@@ -53,10 +54,60 @@ export function setIn(object, keyPath, value) {
     return object.setIn(stringifiedArray(keyPath), value);
   }
 
-  const lastKey = keyPath.pop();
-  const location = getIn(object, keyPath);
+  const lastKey = keyPath[keyPath.length - 1];
+  const location = getIn(object, keyPath.slice(0, -1));
 
   location[lastKey] = value;
 
   return object;
 }
+
+/**
+ * If the object responds to deleteIn, that's called directly. Otherwise
+ * recursively apply object/array access and delete the value at that
+ * location.
+ *
+ * @param  {Object, Immutable.Map, Immutable.Record} object
+ * @param  {Array<string, number>} keyPath
+ * @return {Any}
+ */
+export function deleteIn(object, keyPath) {
+  if (object.deleteIn) {
+    return object.deleteIn(stringifiedArray(keyPath));
+  }
+
+  const lastKey = keyPath[keyPath.length - 1];
+  const location = getIn(object, keyPath.slice(0, -1));
+
+  delete location[lastKey];
+
+  return object;
+}
+
+/**
+ * Returns a copy of the object containing only the given keys. Immutable
+ * objects are filtered so that they keep their type.
+ *
+ * @param  {Object, Immutable.Map, Immutable.Record} object
+ * @param  {Array<string>} keys
+ * @return {Object, Immutable.Map, Immutable.Record}
+ */
+export function pick(object, keys) {
+  if (isImmutable(object)) {
+    return object.filter((value, key) => keys.indexOf(key) !== -1);
+  }
+
+  return lodashPick(object, keys);
+}
+
+/**
+ * Returns a List of the given items, made from an Immutable object so that
+ * immutable-js is not needed as a dependency.
+ *
+ * @param  {Immutable.Map, Immutable.List} object
+ * @param  {Array} items
+ * @return {Immutable.List}
+ */
+export function toList(object, items) {
+  return object.toList().clear().concat(items);
+}
@@ -0,0 +1,152 @@
+import isObject from 'lodash/isObject';
+import { isImmutable, getIn, toList } from './ImmutableUtils';
+import { sortItems } from './QueryUtils';
+
+/**
+ * Helpers to find the entities referring to another one.
+ *
+ * For each table and attribute, an index from the referred ids to the ids
+ * of the referring entities is built the first time it is needed. Indexes
+ * are kept for as long as the entities object is used, so that the
+ * following lookups in the same entities are cheap.
+ */
+
+const indexes = new WeakMap();
+
+/**
+ * Return the ids found in the value of a normalized relation: a single id,
+ * an array or List of ids, or `{ id, schema }` objects from union schemas.
+ *
+ * @param  {Any} value
+ * @return {Array}
+ */
+function getReferredIds(value) {
+  if (value === null || typeof value === 'undefined') {
+    return [];
+  }
+
+  let values = [value];
+
+  if (Array.isArray(value)) {
+    values = value;
+  } else if (isImmutable(value) && typeof value.toArray === 'function' && !value.has('id')) {
+    values = value.toArray();
+  }
+
+  return values.map(item => (isObject(item) ? getIn(item, ['id']) : item));
+}
+
+/**
+ * Return the id of an entity stored under `key` in its table, as given by
+ * its schema, so that numeric ids are not turned into the string keys of
+ * the table. The key is returned when the entity does not give it back.
+ *
+ * @param  {Object, Immutable.Map} entity
+ * @param  {string} key
+ * @param  {schema.Entity} schema
+ * @return {number|string}
+ */
+function getEntityId(entity, key, schema) {
+  if (!isObject(entity)) {
+    return key;
+  }
+
+  const id = isImmutable(entity) && typeof entity.get === 'function' && entity.has('id')
+    ? entity.get('id')
+    : schema.getId(entity);
+
+  return id !== null && typeof id !== 'undefined' && `${id}` === `${key}` ? id : key;
+}
+
+/**
+ * Build the index of the entities of `table` by the ids they refer to with
+ * `attribute`, optionally sorted. With Immutable entities, the ids are kept
+ * in Lists.
+ *
+ * @param  {Object, Immutable.Map} entities
+ * @param  {Object, Immutable.Map} table
+ * @param  {schema.Entity} schema
+ * @param  {string} attribute
+ * @param  {string} orderBy
+ * @param  {string} order
+ * @return {Object}
+ */
+function buildIndex(entities, table, schema, attribute, orderBy, order) {
+  const ids = {};
+  const add = (entity, key) => {
+    const id = getEntityId(entity, key, schema);
+
+    getReferredIds(getIn(entity, [attribute])).forEach((referredId) => {
+      const ref = `${referredId}`;
+
+      if (!ids.hasOwnProperty(ref)) {
+        ids[ref] = [];
+      }
+      ids[ref].push(id);
+    });
+  };
+
+  if (isImmutable(table)) {
+    table.forEach(add);
+  } else {
+    Object.keys(table || {}).forEach(key => add(table[key], key));
+  }
+
+  if (orderBy) {
+    Object.keys(ids).forEach((ref) => {
+      ids[ref] = sortItems(ids[ref], orderBy, order, id => ({ entity: getIn(table, [id]), id }));
+    });
+  }
+
+  if (!isImmutable(entities)) {
+    return { ids, empty: [] };
+  }
+
+  Object.keys(ids).forEach((ref) => {
+    ids[ref] = toList(entities, ids[ref]);
+  });
+
+  return { ids, empty: toList(entities, []) };
+}
+
+/**
+ * Return the ids of the entities of `schema` whose `attribute` refers to
+ * `id`, sorted by their `orderBy` attribute when given. The same array, or
+ * List, is returned as long as `entities` is the same.
+ *
+ * @param  {Object, Immutable.Map} entities
+ * @param  {schema.Entity} schema
+ * @param  {string} attribute
+ * @param  {number|string} id
+ * @param  {string} orderBy
+ * @param  {string} order 'asc' (default) or 'desc'
+ * @return {Array, Immutable.List}
+ */
+export function getReferringIds(entities, schema, attribute, id, orderBy, order = 'asc') {
+  const { key } = schema;
+
+  if (!indexes.has(entities)) {
+    indexes.set(entities, {});
+  }
+
+  const entitiesIndexes = indexes.get(entities);
+  const indexKey = orderBy
+    ? `${key}.${attribute}:${orderBy}:${order}`
+    : `${key}.${attribute}`;
+
+  if (!entitiesIndexes.hasOwnProperty(indexKey)) {
+    entitiesIndexes[indexKey] = buildIndex(
+      entities,
+      getIn(entities, [key]),
+      schema,
+      attribute,
+      orderBy,
+      order,
+    );
+  }
+
+  const { ids, empty } = entitiesIndexes[indexKey];
+  const ref = `${id}`;
+
+  return ids.hasOwnProperty(ref) ? ids[ref] : empty;
+}
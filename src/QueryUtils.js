@@ -0,0 +1,104 @@
+import isObject from 'lodash/isObject';
+import sortBy from 'lodash/sortBy';
+import { isImmutable, getIn, toList } from './ImmutableUtils';
+
+/**
+ * Helpers to filter, sort and paginate entities, either given by their ids
+ * or by the items of a relation.
+ */
+
+/**
+ * Check whether an entity matches the `where` condition: either a function
+ * called with the entity and its id, or an object of the values the
+ * attributes of the entity must be equal to.
+ *
+ * @param  {Object, Immutable.Map} entity
+ * @param  {string} id
+ * @param  {Function, Object} where
+ * @return {Boolean}
+ */
+function matches(entity, id, where) {
+  if (typeof where === 'function') {
+    return !!where(entity, id);
+  }
+
+  if (isObject(where)) {
+    return Object.keys(where).every(attribute => getIn(entity, [attribute]) === where[attribute]);
+  }
+
+  return true;
+}
+
+/**
+ * Sort the items by the `orderBy` attribute of their entity, or by the
+ * value returned by `orderBy` when it is a function called with each entity
+ * and its id.
+ *
+ * @param  {Array} items
+ * @param  {string|Function} orderBy
+ * @param  {string} order 'asc' or 'desc'
+ * @param  {Function} resolve returns the `{ entity, id }` of an item
+ * @return {Array}
+ */
+export function sortItems(items, orderBy, order, resolve) {
+  const sorted = sortBy(items, (item) => {
+    const { entity, id } = resolve(item);
+    return typeof orderBy === 'function' ? orderBy(entity, id) : getIn(entity, [orderBy]);
+  });
+
+  return order === 'desc' ? sorted.reverse() : sorted;
+}
+
+/**
+ * Return the items whose entity matches `where`, sorted by `orderBy` in the
+ * given `order`, skipping the first `offset` ones and keeping at most
+ * `limit`.
+ *
+ * @param  {Array} items
+ * @param  {Object} query
+ * @param  {Function} resolve returns the `{ entity, id }` of an item
+ * @return {Array}
+ */
+export function queryItems(items, query, resolve) {
+  const { where, orderBy, order, limit, offset = 0 } = query;
+
+  let selected = items;
+
+  if (where) {
+    selected = selected.filter((item) => {
+      const { entity, id } = resolve(item);
+      return matches(entity, id, where);
+    });
+  }
+
+  if (orderBy) {
+    selected = sortItems(selected, orderBy, order, resolve);
+  }
+
+  return selected.slice(offset, typeof limit === 'number' ? offset + limit : undefined);
+}
+
+/**
+ * Return the ids of the entities of `key` selected by the query. With
+ * Immutable entities, the ids are returned in a List.
+ *
+ * @param  {Object, Immutable.Map} entities
+ * @param  {string} key
+ * @param  {Object} query
+ * @return {Array, Immutable.List}
+ */
+export function selectIds(entities, key, query = {}) {
+  const table = getIn(entities, [key]);
+
+  let ids = [];
+
+  if (isImmutable(table)) {
+    table.forEach((entity, id) => ids.push(id));
+  } else if (isObject(table)) {
+    ids = Object.keys(table);
+  }
+
+  ids = queryItems(ids, query, id => ({ entity: getIn(table, [id]), id }));
+
+  return isImmutable(entities) ? toList(entities, ids) : ids;
+}
@@ -0,0 +1,65 @@
+/**
+ * A relation to other entities through join entities, e.g. the groups of a
+ * user, stored as memberships with a `userId` and a `groupId`. The relation
+ * is not stored with the entity: the join entities referring to it are found
+ * by looking up the entities when denormalizing, and replaced with the
+ * entities they refer to.
+ */
+export default class Through {
+  /**
+   * @param {schema.Entity} joinSchema
+   * @param {string} attribute the attribute of the join entities holding
+   *                           the id of the entity
+   * @param {string} targetAttribute the attribute of the join entities
+   *                                 holding the id of the related entities
+   * @param {object} options `schema`, the schema of the related entities
+   *                         when not defined for `targetAttribute` by
+   *                         `joinSchema`, and `attach`, the attribute
+   *                         where the join entity is added to each related
+   *                         entity
+   */
+  constructor(joinSchema, attribute, targetAttribute, options = {}) {
+    this.joinSchema = joinSchema;
+    this.attribute = attribute;
+    this.targetAttribute = targetAttribute;
+    this.targetSchema = options.schema;
+    this.attach = options.attach;
+  }
+
+  /**
+   * The schema of the related entities.
+   */
+  get schema() {
+    const schema = this.targetSchema || this.joinSchema.schema[this.targetAttribute];
+
+    if (!schema) {
+      throw new Error(
+        `No schema is defined for "${this.targetAttribute}" by "${this.joinSchema.key}".`,
+      );
+    }
+
+    return schema;
+  }
+
+  /**
+   * The related entities found in the data are normalized as an array, so
+   * that normalizr adds them to their table.
+   */
+  normalize(input, parent, key, visit, addEntity) {
+    return visit(input, parent, key, [this.schema], addEntity);
+  }
+}
+
+/**
+ * Declare a relation to the entities that the join entities of `joinSchema`
+ * referring to the entity with `attribute` refer to with `targetAttribute`.
+ *
+ * @param   {schema.Entity} joinSchema
+ * @param   {string} attribute
+ * @param   {string} targetAttribute
+ * @param   {object} options
+ * @returns {Through}
+ */
+export function through(joinSchema, attribute, targetAttribute, options) {
+  return new Through(joinSchema, attribute, targetAttribute, options);
+}
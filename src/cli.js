@@ -0,0 +1,214 @@
+import fs from 'fs';
+import path from 'path';
+import { schema as Schema } from 'normalizr';
+import isObject from 'lodash/isObject';
+import { denormalize } from './index';
+
+/**
+ * The `denormalizr` command, printing the JSON of the entities denormalized
+ * from JSON files:
+ *
+ *   denormalizr --schema ./schemas.js --entities store.json \
+ *     --result result.json --root articles
+ *
+ * The entities are read from stdin when `--entities` is not given or is
+ * `-`. When `--result` is not given, the entities are expected to be the
+ * output of normalizr, `{ entities, result }`.
+ */
+
+const USAGE = `Usage: denormalizr --schema <file> --root <name> [options]
+
+Options:
+  --schema <file>    module exporting the normalizr schemas
+  --root <name>      name of the exported schema of the result
+  --entities <file>  JSON file of the entities, or - to read stdin (default)
+  --result <file>    JSON file of the result, when not given with the entities
+  --depth <n>        stop expanding the relations past the given depth
+  --pretty           indent the output
+  --help             print this help
+`;
+
+const FLAGS = ['pretty', 'help'];
+
+/**
+ * Parse the command-line arguments into an object of options.
+ *
+ * @param   {array} args
+ * @returns {object}
+ */
+export function parseArgs(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    const match = /^--([a-z]+)(?:=(.*))?$/.exec(arg);
+
+    if (!match) {
+      throw new Error(`Unexpected argument "${arg}".`);
+    }
+
+    const [, name, inlineValue] = match;
+
+    if (FLAGS.indexOf(name) !== -1) {
+      options[name] = true;
+    } else if (typeof inlineValue !== 'undefined') {
+      options[name] = inlineValue;
+    } else if (i + 1 < args.length && !/^--/.test(args[i + 1])) {
+      i += 1;
+      options[name] = args[i];
+    } else {
+      throw new Error(`Missing value for "--${name}".`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Read the whole stream.
+ *
+ * @param   {stream.Readable} stream
+ * @returns {Promise}
+ */
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(chunks.join('')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Read and parse a JSON file, or stdin when `file` is `-`.
+ *
+ * @param   {string} file
+ * @param   {object} io
+ * @returns {Promise}
+ */
+function readJSON(file, io) {
+  const read = file === '-'
+    ? readStream(io.stdin)
+    : Promise.resolve(fs.readFileSync(path.resolve(io.cwd, file), 'utf8'));
+
+  return read.then((text) => {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Cannot parse ${file === '-' ? 'stdin' : file}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Return the schema exported as `root` by the schemas module.
+ *
+ * @param   {string} file
+ * @param   {string} root
+ * @param   {object} io
+ * @returns {object}
+ */
+function loadSchema(file, root, io) {
+  // eslint-disable-next-line global-require, import/no-dynamic-require
+  const schemas = require(path.resolve(io.cwd, file));
+  const exported = isObject(schemas.default) && !schemas.hasOwnProperty(root)
+    ? schemas.default
+    : schemas;
+
+  if (!exported.hasOwnProperty(root)) {
+    throw new Error(`No schema "${root}" is exported by ${file}.`);
+  }
+
+  return exported[root];
+}
+
+/**
+ * Run the command with the given arguments, writing to `io.stdout` and
+ * `io.stderr`. The returned promise is resolved with the exit code.
+ *
+ * @param   {array} args
+ * @param   {object} io `stdin`, `stdout`, `stderr` and `cwd`
+ * @returns {Promise}
+ */
+export function run(args, io) {
+  return Promise.resolve()
+    .then(() => {
+      const options = parseArgs(args);
+
+      if (options.help) {
+        io.stdout.write(USAGE);
+        return null;
+      }
+
+      if (!options.schema || !options.root) {
+        throw new Error('The --schema and --root options are required.');
+      }
+
+      if (typeof options.depth !== 'undefined' && !/^\d+$/.test(options.depth)) {
+        throw new Error(`Invalid depth "${options.depth}".`);
+      }
+
+      const schema = loadSchema(options.schema, options.root, io);
+
+      return Promise.all([
+        readJSON(options.entities || '-', io),
+        options.result ? readJSON(options.result, io) : undefined,
+      ]).then(([input, result]) => {
+        let entities = input;
+        let obj = result;
+
+        if (!options.result) {
+          if (!isObject(input) || !isObject(input.entities) || !input.hasOwnProperty('result')) {
+            throw new Error('Give the --result option, or the output of normalizr as entities.');
+          }
+
+          entities = input.entities;
+          obj = input.result;
+        }
+
+        const isCollectionSchema = Array.isArray(schema) ||
+          schema instanceof Schema.Array ||
+          schema instanceof Schema.Values;
+
+        if (isCollectionSchema && !isObject(obj)) {
+          throw new Error(
+            `The "${options.root}" schema expects an array or an object of values, ` +
+            `but the result is ${JSON.stringify(obj)}.`,
+          );
+        }
+
+        const rootSchema = Array.isArray(obj) && schema instanceof Schema.Entity
+          ? [schema]
+          : schema;
+        const denormalized = denormalize(obj, entities, rootSchema, {
+          cycles: 'ref',
+          maxDepth: typeof options.depth === 'undefined' ? undefined : Number(options.depth),
+        });
+
+        io.stdout.write(`${JSON.stringify(denormalized, null, options.pretty ? 2 : 0)}\n`);
+      });
+    })
+    .then(() => 0, (error) => {
+      io.stderr.write(`denormalizr: ${error.message}\n`);
+      return 1;
+    });
+}
+
+/**
+ * Run the command in the current process.
+ *
+ * @param   {array} args
+ * @returns {Promise}
+ */
+export function main(args) {
+  return run(args, {
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr,
+    cwd: process.cwd(),
+  }).then((code) => {
+    process.exitCode = code;
+  });
+}
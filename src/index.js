@@ -2,13 +2,447 @@ import { schema as Schema } from 'normalizr';
 import merge from 'lodash/merge';
 import isObject from 'lodash/isObject';
 import assign from 'lodash/assign';
-import { isImmutable, getIn, setIn } from './ImmutableUtils';
+import { isImmutable, getIn, setIn, deleteIn, pick, toList } from './ImmutableUtils';
+import {
+  getEntry,
+  clearEntries,
+  pruneEntries,
+  getLastResult,
+  setLastResult,
+} from './CacheUtils';
+import { getReferringIds } from './IndexUtils';
+import { selectIds, queryItems } from './QueryUtils';
+import {
+  createDependencies,
+  addDependency,
+  addTableDependency,
+  toDependencyObject,
+  getDependencyReferences,
+  haveSameReferences,
+} from './DependencyUtils';
+import HasMany, { hasMany } from './HasMany';
+import Through from './Through';
+
+import { replaceReferences } from './relink';
+
+export { default as relink } from './relink';
+export { hasMany } from './HasMany';
+export { through } from './Through';
+export { default as inspectSchema } from './inspectSchema';
+export { isImmutable, getIn, setIn, deleteIn, pick } from './ImmutableUtils';
 
 const EntitySchema = Schema.Entity;
 const ArraySchema = Schema.Array;
 const UnionSchema = Schema.Union;
 const ValuesSchema = Schema.Values;
 
+/**
+ * Returned in place of the entities removed from their parent, when they are
+ * missing and the `onMissing` option is `'omit'`.
+ */
+const OMITTED = {};
+
+/**
+ * Return what replaces an entity missing from `entities`, according to the
+ * `onMissing` option.
+ *
+ * @param   {number|string} id
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {any}
+ */
+function resolveMissingEntity(id, schema, options) {
+  const { onMissing } = options;
+
+  if (typeof onMissing === 'function') {
+    return onMissing(id, schema);
+  }
+
+  switch (onMissing) {
+    case 'id':
+      return id;
+    case 'null':
+      return null;
+    case 'omit':
+      return OMITTED;
+    case 'throw':
+      throw new Error(`Entity "${schema.key}" with id "${id}" is missing.`);
+    default:
+      throw new Error(`Unknown \`onMissing\` option "${onMissing}".`);
+  }
+}
+
+/**
+ * Check whether the entity must be resolved with the `onMissing` option.
+ *
+ * @param   {object|Immutable.Map} entity
+ * @param   {object} options
+ * @returns {boolean}
+ */
+function isHandledAsMissing(entity, options) {
+  return (entity === null || typeof entity === 'undefined') &&
+    typeof options.onMissing !== 'undefined';
+}
+
+/**
+ * Return what replaces an entity found inside itself, according to the
+ * `cycles` option, or `undefined` when the cycle must be kept.
+ *
+ * @param   {number|string} id
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {any}
+ */
+function resolveCycle(id, schema, options) {
+  switch (options.cycles) {
+    case undefined:
+    case 'reference':
+      return undefined;
+    case 'id':
+      return id;
+    case 'ref':
+      return { $ref: `${schema.key}/${id}` };
+    default:
+      throw new Error(`Unknown \`cycles\` option "${options.cycles}".`);
+  }
+}
+
+/**
+ * Return the inverse of the `processStrategy` of `schema`, given either by
+ * the `unprocess` option or by the `unprocessStrategy` of the schema.
+ *
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {function|undefined}
+ */
+function getUnprocessStrategy(schema, options) {
+  const { unprocess } = options;
+
+  if (isObject(unprocess) && typeof unprocess[schema.key] === 'function') {
+    return unprocess[schema.key];
+  }
+
+  if (typeof schema.unprocessStrategy === 'function') {
+    return schema.unprocessStrategy;
+  }
+
+  return undefined;
+}
+
+/**
+ * Return the function applied to the denormalized entities of `schema`,
+ * either given by the `transform` option or instantiating the class given by
+ * the `models` option, after the inverse of its `processStrategy`.
+ *
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {function|undefined}
+ */
+function getTransform(schema, options) {
+  const { transform, models } = options;
+  const unprocessStrategy = getUnprocessStrategy(schema, options);
+  let transformStrategy;
+
+  if (isObject(transform) && typeof transform[schema.key] === 'function') {
+    transformStrategy = transform[schema.key];
+  } else if (isObject(models) && typeof models[schema.key] === 'function') {
+    const Model = models[schema.key];
+    transformStrategy = entity => new Model(entity);
+  }
+
+  if (unprocessStrategy && transformStrategy) {
+    return (entity, context) => transformStrategy(unprocessStrategy(entity, context), context);
+  }
+
+  return unprocessStrategy || transformStrategy;
+}
+
+const transformedSources = new WeakMap();
+
+/**
+ * Apply the transform of `schema` to an entity whose relations are resolved.
+ *
+ * When the entity was found inside itself, the cycles point to `resolved`:
+ * they are moved to the transformed entity, provided it keeps the relations
+ * under the same attributes. They are moved in the resolved entities the
+ * transformed entities of the cycle come from too, so that the memoized
+ * entities keep being resolved from the same references.
+ *
+ * @param   {function} transform
+ * @param   {object|Immutable.Map} resolved
+ * @param   {number|string} id
+ * @param   {schema.Entity} schema
+ * @param   {object} definition
+ * @param   {boolean} isReferenced
+ * @returns {any}
+ */
+function transformEntity(transform, resolved, id, schema, definition, isReferenced) {
+  const transformed = transform(resolved, { key: schema.key, id, schema });
+
+  if (transformed === resolved || isImmutable(resolved)) {
+    return transformed;
+  }
+
+  if (isObject(transformed)) {
+    transformedSources.set(transformed, resolved);
+  }
+
+  if (isReferenced) {
+    replaceReferences(transformed, definition, resolved, transformed, (parent, attribute) => {
+      const source = transformedSources.get(parent);
+
+      if (source && source[attribute] === resolved) {
+        source[attribute] = transformed;
+      }
+    });
+  }
+
+  return transformed;
+}
+
+/**
+ * Return the relations of `schema` that are found by looking up the
+ * entities: the ones declared with `hasMany` or `through`, and the inverse
+ * relations declared with the `inverses` option.
+ *
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {object}
+ */
+function getLookupRelations(schema, options) {
+  const { inverses } = options;
+  const definition = schema.schema || {};
+  const relations = {};
+
+  Object.keys(definition)
+    .filter(attribute =>
+      definition[attribute] instanceof HasMany || definition[attribute] instanceof Through,
+    )
+    .forEach((attribute) => {
+      relations[attribute] = definition[attribute];
+    });
+
+  if (isObject(inverses) && isObject(inverses[schema.key])) {
+    const entityInverses = inverses[schema.key];
+
+    Object.keys(entityInverses).forEach((attribute) => {
+      const inverse = entityInverses[attribute];
+      relations[attribute] = hasMany(inverse.schema, inverse.attribute);
+    });
+  }
+
+  return relations;
+}
+
+/**
+ * Return the definition used to denormalize the entities of `schema`: its
+ * own, where the `hasMany` relations are arrays of entities.
+ *
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {schema.Entity|object}
+ */
+function getEntityDefinition(schema, options) {
+  const relations = getLookupRelations(schema, options);
+  const attributes = Object.keys(relations);
+
+  if (attributes.length === 0) {
+    return schema;
+  }
+
+  return attributes.reduce((definition, attribute) => assign(definition, {
+    [attribute]: relations[attribute] instanceof HasMany
+      ? [relations[attribute].schema]
+      : relations[attribute],
+  }), assign({}, schema.schema));
+}
+
+/**
+ * Set the ids of the entities found by lookup under the attributes of their
+ * relations, keeping only the selected ones when selecting attributes. For
+ * the `through` relations, these are the ids of the join entities.
+ * Never mutates `obj`.
+ *
+ * @param   {object|Immutable.Map} obj
+ * @param   {number|string} id
+ * @param   {object|Immutable.Map} entities
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {object|Immutable.Map}
+ */
+function addLookupRelations(obj, id, entities, schema, options) {
+  const { select } = options;
+  const relations = getLookupRelations(schema, options);
+  const attributes = Object.keys(relations)
+    .filter(attribute => !isObject(select) || select[attribute]);
+
+  if (attributes.length === 0) {
+    return obj;
+  }
+
+  return attributes.reduce((object, attribute) => {
+    const relation = relations[attribute];
+    const lookupSchema = relation instanceof Through ? relation.joinSchema : relation.schema;
+    addTableDependency(options.dependencies, lookupSchema.key);
+    const ids = getReferringIds(
+      entities,
+      lookupSchema,
+      relation.attribute,
+      id,
+      relation.orderBy,
+      relation.order,
+    );
+
+    return setIn(object, [attribute], ids);
+  }, isImmutable(obj) ? obj : assign({}, obj));
+}
+
+/**
+ * Check whether an entity found at `depth` lies past the `maxDepth` option,
+ * in which case it is left as it appears in the normalized data.
+ *
+ * @param   {object} options
+ * @param   {number} depth
+ * @returns {boolean}
+ */
+function isBeyondMaxDepth(options, depth) {
+  return typeof options.maxDepth === 'number' && depth > options.maxDepth;
+}
+
+const selectionIds = new WeakMap();
+
+/**
+ * Return a string identifying the given selection set by its content, with
+ * the attributes sorted and the unselected ones left out, so that equal
+ * selection sets share their variant.
+ *
+ * @param   {object} select
+ * @returns {string}
+ */
+function getSelectionId(select) {
+  if (!selectionIds.has(select)) {
+    const attributes = Object.keys(select)
+      .filter(attribute => select[attribute])
+      .sort()
+      .map(attribute => [
+        attribute,
+        isObject(select[attribute]) ? getSelectionId(select[attribute]) : true,
+      ]);
+
+    selectionIds.set(select, JSON.stringify(attributes));
+  }
+
+  return selectionIds.get(select);
+}
+
+/**
+ * Return the variant of an entity denormalized at `depth`. The same entity is
+ * expanded differently according to its depth when `maxDepth` is set, and
+ * according to the selection set when `select` is set, so the bag and the
+ * memoization cache keep each variant apart.
+ *
+ * @param   {object} options
+ * @param   {number} depth
+ * @returns {string}
+ */
+function getVariant(options, depth) {
+  let variant = '';
+
+  if (typeof options.maxDepth === 'number') {
+    variant = `${variant}@${options.maxDepth - depth}`;
+  }
+
+  if (isObject(options.select)) {
+    variant = `${variant}#${getSelectionId(options.select)}`;
+  }
+
+  return variant;
+}
+
+/**
+ * Keep only the attributes of an object listed in the `select` option.
+ * Never mutates `obj`.
+ *
+ * @param   {object|Immutable.Map} obj
+ * @param   {object} options
+ * @returns {object|Immutable.Map}
+ */
+function selectAttributes(obj, options) {
+  const { select } = options;
+
+  return isObject(select)
+    ? pick(obj, Object.keys(select).filter(attribute => select[attribute]))
+    : obj;
+}
+
+/**
+ * Copy an object before denormalizing it, keeping only the attributes
+ * listed in the `select` option. Immutable objects are not copied.
+ *
+ * @param   {object|Immutable.Map} obj
+ * @param   {object} options
+ * @returns {object|Immutable.Map}
+ */
+function copyObject(obj, options) {
+  const selected = selectAttributes(obj, options);
+
+  // Ensure we don't mutate it non-immutable objects
+  return isImmutable(selected) ? selected : merge({}, selected);
+}
+
+/**
+ * Return the options used to denormalize the given attribute: when
+ * selecting, a nested selection set applies to the attribute value, while
+ * `true` selects it entirely. The query of the relation, if any, applies to
+ * the attribute value only.
+ *
+ * @param   {object} options
+ * @param   {string} attribute
+ * @returns {object}
+ */
+function getAttributeOptions(options, attribute) {
+  const { select, queries } = options;
+
+  if (!isObject(select) && !isObject(queries)) {
+    return options;
+  }
+
+  const attributeOptions = assign({}, options);
+
+  if (isObject(select)) {
+    attributeOptions.select = isObject(select[attribute]) ? select[attribute] : undefined;
+  }
+
+  if (isObject(queries)) {
+    attributeOptions.query = queries[attribute];
+    attributeOptions.queries = undefined;
+  }
+
+  return attributeOptions;
+}
+
+/**
+ * Return the options used to denormalize the relations of an entity of
+ * `schema`, with the queries of its relations given by the `relations`
+ * option.
+ *
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {object}
+ */
+function getRelationsOptions(schema, options) {
+  const { relations } = options;
+
+  if (!isObject(relations)) {
+    return options;
+  }
+
+  return assign({}, options, {
+    queries: isObject(relations[schema.key]) ? relations[schema.key] : undefined,
+    query: undefined,
+  });
+}
+
 /**
  * Take either an entity or id and derive the other.
  *
@@ -34,6 +468,120 @@ function resolveEntityOrId(entityOrId, entities, schema) {
   return { entity, id };
 }
 
+/**
+ * Return a function giving the normalized entity of an item and its id. As
+ * the result depends on the entities it reads, they are added to the
+ * dependencies.
+ *
+ * @param   {object|Immutable.Map} entities
+ * @param   {object} itemSchema
+ * @param   {object} options
+ * @returns {function}
+ */
+function getItemResolver(entities, itemSchema, options) {
+  return (item) => {
+    if (!(itemSchema instanceof EntitySchema)) {
+      return { entity: item };
+    }
+
+    const resolved = resolveEntityOrId(item, entities, itemSchema);
+    addDependency(options.dependencies, itemSchema.key, resolved.id);
+    return resolved;
+  };
+}
+
+/**
+ * Select the items of an array relation with the `where`, `orderBy`,
+ * `order`, `limit` and `offset` of its query, compared on the normalized
+ * entities.
+ *
+ * @param   {Array|Immutable.List} items
+ * @param   {object|Immutable.Map} entities
+ * @param   {object} itemSchema
+ * @param   {object} options
+ * @returns {Array|Immutable.List}
+ */
+function queryIterable(items, entities, itemSchema, options) {
+  const { query } = options;
+  const resolve = getItemResolver(entities, itemSchema, options);
+
+  return isImmutable(items)
+    ? toList(items, queryItems(items.toArray(), query, resolve))
+    : queryItems(items, query, resolve);
+}
+
+/**
+ * Return the items of an iterable to denormalize, and the options to
+ * denormalize them, where the query of the relation no longer applies.
+ *
+ * @param   {Array|Immutable.List|object|Immutable.Map} items
+ * @param   {object|Immutable.Map} entities
+ * @param   {object} itemSchema
+ * @param   {object} options
+ * @returns {object}
+ */
+function applyQuery(items, entities, itemSchema, options) {
+  const { query } = options;
+
+  if (!isObject(query)) {
+    return { items, options };
+  }
+
+  return {
+    items: typeof items.map === 'function'
+      ? queryIterable(items, entities, itemSchema, options)
+      : items,
+    options: assign({}, options, { query: undefined }),
+  };
+}
+
+/**
+ * Return the aggregate of the items of a relation, as requested by the
+ * `aggregate` of its query: `'count'`, `'exists'`, `'first'`, `'last'`, or
+ * a reducer called with the accumulated value, each normalized entity and
+ * its id, starting from the `initial` value of the query. Only the first or
+ * last item is denormalized, with `denormalizeItem`.
+ *
+ * @param   {Array|Immutable.List|object|Immutable.Map} items
+ * @param   {object|Immutable.Map} entities
+ * @param   {object} itemSchema
+ * @param   {object} options
+ * @param   {function} denormalizeItem
+ * @returns {any}
+ */
+function aggregateItems(items, entities, itemSchema, options, denormalizeItem) {
+  const { aggregate, initial } = options.query;
+  let list = items;
+
+  if (isImmutable(items)) {
+    list = items.toArray();
+  } else if (!Array.isArray(items)) {
+    list = Object.keys(items).map(key => items[key]);
+  }
+
+  if (typeof aggregate === 'function') {
+    const resolve = getItemResolver(entities, itemSchema, options);
+
+    return list.reduce((value, item) => {
+      const { entity, id } = resolve(item);
+      return aggregate(value, entity, id);
+    }, initial);
+  }
+
+  switch (aggregate) {
+    case 'count':
+      return list.length;
+    case 'exists':
+      return list.length > 0;
+    case 'first':
+      return list.length > 0 ? denormalizeItem(list[0]) : null;
+    case 'last':
+      return list.length > 0 ? denormalizeItem(list[list.length - 1]) : null;
+    default:
+      throw new Error(`Unknown \`aggregate\` option "${aggregate}".`);
+  }
+}
+
 /**
  * Denormalizes each entity in the given array.
  *
@@ -41,44 +589,272 @@ function resolveEntityOrId(entityOrId, entities, schema) {
  * @param   {object|Immutable.Map} entities
  * @param   {schema.Entity} schema
  * @param   {object} bag
+ * @param   {object} options
+ * @param   {number} depth
  * @returns {Array|Immutable.List}
  */
-function denormalizeIterable(items, entities, schema, bag) {
-  const isMappable = typeof items.map === 'function';
-
+function denormalizeIterable(allItems, entities, schema, bag, allOptions, depth) {
   const itemSchema = Array.isArray(schema) ? schema[0] : schema.schema;
+  const { items, options } = applyQuery(allItems, entities, itemSchema, allOptions);
+
+  if (isObject(allOptions.query) && typeof allOptions.query.aggregate !== 'undefined') {
+    return aggregateItems(items, entities, itemSchema, allOptions, item =>
+      denormalize(item, entities, itemSchema, bag, options, depth),
+    );
+  }
+
+  const isMappable = typeof items.map === 'function';
 
   // Handle arrayOf iterables
   if (isMappable) {
-    return items.map(o => denormalize(o, entities, itemSchema, bag));
+    return items
+      .map(o => denormalize(o, entities, itemSchema, bag, options, depth))
+      .filter(o => o !== OMITTED);
   }
 
   // Handle valuesOf iterables
   const denormalized = {};
   Object.keys(items).forEach((key) => {
-    denormalized[key] = denormalize(items[key], entities, itemSchema, bag);
+    const item = denormalize(items[key], entities, itemSchema, bag, options, depth);
+
+    if (item !== OMITTED) {
+      denormalized[key] = item;
+    }
   });
   return denormalized;
 }
 
+/**
+ * Add the join entity to a related entity, under the `attach` attribute of
+ * the `through` relation.
+ *
+ * @param   {object|Immutable.Map} target
+ * @param   {object|Immutable.Map} joinEntity
+ * @param   {Through} schema
+ * @returns {object|Immutable.Map}
+ */
+function attachJoinEntity(target, joinEntity, schema) {
+  if (!schema.attach || !isObject(target) || target === OMITTED) {
+    return target;
+  }
+
+  return isImmutable(target)
+    ? target.set(schema.attach, joinEntity)
+    : assign({}, target, { [schema.attach]: joinEntity });
+}
+
+/**
+ * Denormalizes the entities related through the given join entities.
+ *
+ * @param   {Array|Immutable.List} joinIds
+ * @param   {object|Immutable.Map} entities
+ * @param   {Through} schema
+ * @param   {object} bag
+ * @param   {object} options
+ * @param   {number} depth
+ * @returns {Array|Immutable.List}
+ */
+function denormalizeThrough(joinIds, entities, schema, bag, options, depth) {
+  return joinIds
+    .map((joinId) => {
+      const { entity: joinEntity } = resolveEntityOrId(joinId, entities, schema.joinSchema);
+      addDependency(options.dependencies, schema.joinSchema.key, joinId);
+      const target = denormalize(
+        getIn(joinEntity, [schema.targetAttribute]),
+        entities,
+        schema.schema,
+        bag,
+        options,
+        depth,
+      );
+
+      return attachJoinEntity(target, joinEntity, schema);
+    })
+    .filter(o => o !== OMITTED);
+}
+
+/**
+ * Check whether two iterables have the same keys, so that the denormalized
+ * items of one can be compared to the items of the other.
+ *
+ * @param   {Array|Immutable.List|object|Immutable.Map} items
+ * @param   {Array|Immutable.List|object|Immutable.Map} otherItems
+ * @returns {boolean}
+ */
+function haveSameKeys(items, otherItems) {
+  if (!isObject(otherItems) || isImmutable(items) !== isImmutable(otherItems)) {
+    return false;
+  }
+
+  if (isImmutable(items)) {
+    return items.size === otherItems.size && items.every((o, key) => otherItems.has(key));
+  }
+
+  const keys = Object.keys(items);
+  return Array.isArray(items) === Array.isArray(otherItems) &&
+    keys.length === Object.keys(otherItems).length &&
+    keys.every(key => otherItems.hasOwnProperty(key));
+}
+
+/**
+ * Check whether two iterables have the same keys and the same items.
+ *
+ * @param   {Array|Immutable.List|object|Immutable.Map} items
+ * @param   {Array|Immutable.List|object|Immutable.Map} otherItems
+ * @returns {boolean}
+ */
+function haveSameItems(items, otherItems) {
+  if (!haveSameKeys(items, otherItems)) {
+    return false;
+  }
+
+  if (isImmutable(items)) {
+    return items.every((o, key) => otherItems.get(key) === o);
+  }
+
+  return Object.keys(items).every(key => otherItems[key] === items[key]);
+}
+
 /*
  * Memoized version of `denormalizeIterable`.
+ *
+ * Returns `previous`, the result of the last denormalization of the same
+ * iterable, when none of its items changed.
+ */
+function denormalizeIterableMemoized(
+  allItems,
+  entities,
+  schema,
+  bag,
+  allOptions,
+  depth,
+  previous,
+) {
+  const itemSchema = Array.isArray(schema) ? schema[0] : schema.schema;
+  const { items, options } = applyQuery(allItems, entities, itemSchema, allOptions);
+
+  if (isObject(allOptions.query) && typeof allOptions.query.aggregate !== 'undefined') {
+    return aggregateItems(items, entities, itemSchema, allOptions, item =>
+      denormalizeMemoized(item, entities, itemSchema, bag, options, depth),
+    );
+  }
+
+  const reference = haveSameKeys(items, previous) ? previous : items;
+
+  const denormalizeItem = (o, key) => denormalizeMemoized(
+    o,
+    entities,
+    itemSchema,
+    bag,
+    options,
+    depth,
+    getIn(reference, [key]),
+  );
+
+  // Handle Immutable iterables, only setting the items that changed
+  if (isImmutable(items)) {
+    let denormalized = reference;
+    let isOmitting = false;
+    items.forEach((o, key) => {
+      const newItem = denormalizeItem(o, key);
+
+      if (newItem === OMITTED) {
+        isOmitting = true;
+      }
+
+      if (newItem !== reference.get(key)) {
+        denormalized = denormalized.set(key, newItem);
+      }
+    });
+
+    if (!isOmitting) {
+      return denormalized;
+    }
+
+    const kept = denormalized.filter(o => o !== OMITTED);
+    return haveSameItems(kept, previous) ? previous : kept;
+  }
+
+  let newItems;
+
+  // Handle arrayOf iterables
+  if (Array.isArray(items)) {
+    newItems = items
+      .map(denormalizeItem)
+      .filter(o => o !== OMITTED);
+  } else {
+    // Handle valuesOf iterables
+    newItems = {};
+    Object.keys(items).forEach((key) => {
+      const newItem = denormalizeItem(items[key], key);
+
+      if (newItem !== OMITTED) {
+        newItems[key] = newItem;
+      }
+    });
+  }
+
+  if (haveSameItems(newItems, reference)) {
+    return reference;
+  }
+
+  return haveSameItems(newItems, previous) ? previous : newItems;
+}
+
+/**
+ * Check whether `item` is `target` with the join entity attached, as
+ * returned by `attachJoinEntity`.
+ *
+ * @param   {object|Immutable.Map} item
+ * @param   {object|Immutable.Map} target
+ * @param   {object|Immutable.Map} joinEntity
+ * @param   {Through} schema
+ * @returns {boolean}
+ */
+function isAttachedTo(item, target, joinEntity, schema) {
+  if (!isObject(item) || !isObject(target) || getIn(item, [schema.attach]) !== joinEntity) {
+    return false;
+  }
+
+  const keys = getKeys(target).filter(key => key !== schema.attach);
+
+  return getKeys(item).length === keys.length + 1 &&
+    keys.every(key => getIn(item, [key]) === getIn(target, [key]));
+}
+
+/*
+ * Memoized version of `denormalizeThrough`.
+ *
+ * Returns `previous`, the result of the last denormalization of the same
+ * relation, when none of the related entities changed.
  */
-function denormalizeIterableMemoized(items, entities, schema, bag) {
-  const itemSchema = Array.isArray(schema) ? schema[0] : schema.schema;
+function denormalizeThroughMemoized(joinIds, entities, schema, bag, options, depth, previous) {
+  const reference = haveSameKeys(joinIds, previous) ? previous : undefined;
 
-  let isDifferent = false;
-  const newItems = items.map((o, i) => {
-    const newItem = denormalizeMemoized(o, entities, itemSchema, bag);
+  const denormalized = joinIds
+    .map((joinId, index) => {
+      const { entity: joinEntity } = resolveEntityOrId(joinId, entities, schema.joinSchema);
+      addDependency(options.dependencies, schema.joinSchema.key, joinId);
+      const target = denormalizeMemoized(
+        getIn(joinEntity, [schema.targetAttribute]),
+        entities,
+        schema.schema,
+        bag,
+        options,
+        depth,
+      );
+      const referenceItem = getIn(reference, [index]);
 
-    if (newItem !== items[i]) {
-      isDifferent = true;
-    }
+      /* Keep the previous item when it has the same entity and join entity */
+      if (schema.attach && isAttachedTo(referenceItem, target, joinEntity, schema)) {
+        return referenceItem;
+      }
 
-    return newItem;
-  });
+      return attachJoinEntity(target, joinEntity, schema);
+    })
+    .filter(o => o !== OMITTED);
 
-  return isDifferent ? newItems : items;
+  return haveSameItems(denormalized, previous) ? previous : denormalized;
 }
 
 /**
@@ -86,9 +862,11 @@ function denormalizeIterableMemoized(items, entities, schema, bag) {
  * @param   {object|Immutable.Map} entities
  * @param   {schema.Entity} schema
  * @param   {object} bag
+ * @param   {object} options
+ * @param   {number} depth
  * @returns {object|Immutable.Map}
  */
-function denormalizeUnion(entity, entities, schema, bag) {
+function denormalizeUnion(entity, entities, schema, bag, options, depth) {
   const schemaAttribute = getIn(entity, ['schema']);
   const itemSchema = getIn(schema, ['schema', schemaAttribute]);
   if (!itemSchema) return entity;
@@ -101,30 +879,29 @@ function denormalizeUnion(entity, entities, schema, bag) {
     entities,
     itemSchema,
     bag,
+    options,
+    depth,
   );
 }
 
 /*
  * Memoized version of `denormalizeUnion`.
  */
-function denormalizeUnionMemoized(entity, entities, unionSchema, bag) {
-  if (!entity.schema) {
-    throw new Error('Expect `entity` to have a schema key as a result from normalizing an union.');
-  }
-
+function denormalizeUnionMemoized(entity, entities, schema, bag, options, depth) {
   const schemaAttribute = getIn(entity, ['schema']);
   const itemSchema = getIn(schema, ['schema', schemaAttribute]);
+  if (!itemSchema) return entity;
 
+  const mutableEntity = isImmutable(entity) ? entity.toJS() : entity;
   const id = itemSchema.getId(mutableEntity) || getIn(entity, ['id']);
 
-  // const id = getIn(entity, [itemSchema.getIdAttribute()]);
-  const trueEntity = getIn(entities, [itemSchema.key, id]);
-
   return denormalizeMemoized(
-    trueEntity,
+    id,
     entities,
     itemSchema,
     bag,
+    options,
+    depth,
   );
 }
 
@@ -139,9 +916,11 @@ function denormalizeUnionMemoized(entity, entities, unionSchema, bag) {
  * @param   {object|Immutable.Map} entities
  * @param   {schema.Entity} schema
  * @param   {object} bag
+ * @param   {object} options
+ * @param   {number} depth
  * @returns {object|Immutable.Map}
  */
-function denormalizeObject(obj, entities, schema, bag) {
+function denormalizeObject(obj, entities, schema, bag, options, depth) {
   let denormalized = obj;
 
   const schemaDefinition = typeof schema.inferSchema === 'function'
@@ -156,7 +935,19 @@ function denormalizeObject(obj, entities, schema, bag) {
       const item = getIn(obj, [attribute]);
       const itemSchema = getIn(schemaDefinition, [attribute]);
 
-      denormalized = setIn(denormalized, [attribute], denormalize(item, entities, itemSchema, bag));
+      const attributeOptions = getAttributeOptions(options, attribute);
+      const denormalizedItem = denormalize(
+        item,
+        entities,
+        itemSchema,
+        bag,
+        attributeOptions,
+        depth,
+      );
+
+      denormalized = denormalizedItem === OMITTED
+        ? deleteIn(denormalized, [attribute])
+        : setIn(denormalized, [attribute], denormalizedItem);
     });
 
   return denormalized;
@@ -170,100 +961,357 @@ function denormalizeObject(obj, entities, schema, bag) {
  * @param   {object|Immutable.Map} entities
  * @param   {schema.Entity} schema
  * @param   {object} bag
+ * @param   {object} options
+ * @param   {number} depth
  * @returns {object|Immutable.Map}
  */
-function denormalizeEntity(entityOrId, entities, schema, bag) {
-  const key = schema.key;
+function denormalizeEntity(entityOrId, entities, schema, bag, options, depth) {
+  const key = `${schema.key}${getVariant(options, depth)}`;
   const { entity, id } = resolveEntityOrId(entityOrId, entities, schema);
+  addDependency(options.dependencies, schema.key, id);
+
+  if (isHandledAsMissing(entity, options)) {
+    return resolveMissingEntity(id, schema, options);
+  }
 
   if (!bag.hasOwnProperty(key)) {
     bag[key] = {};
   }
 
+  const stackKey = `${key}:${id}`;
+
+  /* The entity is being denormalized higher in the tree: this is a cycle */
+  if (bag.hasOwnProperty(stackKey)) {
+    const cycle = resolveCycle(id, schema, options);
+
+    if (typeof cycle !== 'undefined') {
+      return cycle;
+    }
+
+    bag[stackKey].isReferenced = true;
+  }
+
   if (!bag[key].hasOwnProperty(id)) {
-    // Ensure we don't mutate it non-immutable objects
-    const obj = isImmutable(entity) ? entity : merge({}, entity);
+    const copy = copyObject(entity, options);
+    const obj = addLookupRelations(copy, id, entities, schema, options);
+    const definition = getEntityDefinition(schema, options);
+    const transform = getTransform(schema, options);
 
     // Need to set this first so that if it is referenced within the call to
-    // denormalizeObject, it will already exist.
-    bag[key][id] = obj;
-    bag[key][id] = denormalizeObject(obj, entities, schema, bag);
+    // denormalizeObject, it will already exist. Immutable cycles resolve to
+    // the entity as it is in `entities`.
+    bag[key][id] = isImmutable(copy) ? copy : obj;
+    bag[stackKey] = { isReferenced: false };
+    bag[key][id] = denormalizeObject(
+      obj,
+      entities,
+      definition,
+      bag,
+      getRelationsOptions(schema, options),
+      depth + 1,
+    );
+
+    if (transform) {
+      const { isReferenced } = bag[stackKey];
+      bag[key][id] = transformEntity(transform, bag[key][id], id, schema, definition, isReferenced);
+    }
+
+    delete bag[stackKey];
   }
 
   return bag[key][id];
 }
 
+/**
+ * Return the keys of an object.
+ *
+ * @param   {object|Immutable.Map} obj
+ * @returns {Array}
+ */
+function getKeys(obj) {
+  return isImmutable(obj) ? obj.keySeq().toArray() : Object.keys(obj);
+}
+
+/**
+ * Check whether `previous` was denormalized from an object equal to `obj`:
+ * both must have the same values for the attributes that are not relations,
+ * while omitted relations may be missing from `previous`.
+ *
+ * @param   {object|Immutable.Map} obj
+ * @param   {object|Immutable.Map} previous
+ * @param   {object} schemaDefinition
+ * @returns {boolean}
+ */
+function isDenormalizedFrom(obj, previous, schemaDefinition) {
+  if (!isObject(obj) || !isObject(previous) || isImmutable(obj) !== isImmutable(previous)) {
+    return false;
+  }
+
+  const keys = getKeys(obj);
+  const previousKeys = getKeys(previous);
+
+  return previousKeys.every(attribute => keys.indexOf(attribute) !== -1) &&
+    keys.every(attribute =>
+      schemaDefinition.hasOwnProperty(attribute) || (
+        previousKeys.indexOf(attribute) !== -1 &&
+        getIn(previous, [attribute]) === getIn(obj, [attribute])
+      ),
+    );
+}
+
+/*
+ * Memoized version of `denormalizeObject`.
+ *
+ * Never mutates `obj`: returns `previous`, the result of the last
+ * denormalization of the same object, when none of its relations changed,
+ * otherwise a copy of it with the changed relations.
+ */
+function denormalizeObjectMemoized(obj, entities, schema, bag, options, depth, previous) {
+  const schemaDefinition = typeof schema.inferSchema === 'function'
+    ? schema.inferSchema(obj)
+    : (schema.schema || schema);
+
+  /* Start with the previous result as reference */
+  const referenceObject = isDenormalizedFrom(obj, previous, schemaDefinition) ? previous : obj;
+  const relationsToUpdate = {};
+  const relationsToRemove = [];
+
+  /* For each relation in the schema */
+  Object.keys(schemaDefinition)
+    /* Filter out private attributes */
+    .filter(attribute => attribute.substring(0, 1) !== '_')
+    /* Filter out relations not present */
+    .filter(attribute => typeof getIn(obj, [attribute]) !== 'undefined')
+    .forEach((relation) => {
+      const item = getIn(obj, [relation]);
+      const itemSchema = getIn(schemaDefinition, [relation]);
+      const referenceItem = getIn(referenceObject, [relation]);
+
+      const denormalizedItem = denormalizeMemoized(
+        item,
+        entities,
+        itemSchema,
+        bag,
+        getAttributeOptions(options, relation),
+        depth,
+        referenceItem,
+      );
+
+      if (denormalizedItem === OMITTED) {
+        if (getKeys(referenceObject).indexOf(relation) !== -1) {
+          relationsToRemove.push(relation);
+        }
+      } else if (denormalizedItem !== referenceItem) {
+        relationsToUpdate[relation] = denormalizedItem;
+      }
+    });
+
+  /* If there is any relations to update, we send a new object */
+  if (Object.keys(relationsToUpdate).length === 0 && relationsToRemove.length === 0) {
+    return referenceObject;
+  }
+
+  const denormalized = isImmutable(referenceObject)
+    ? referenceObject.merge(relationsToUpdate)
+    : assign({}, referenceObject, relationsToUpdate);
+
+  return relationsToRemove.reduce(
+    (object, relation) => deleteIn(object, [relation]),
+    denormalized,
+  );
+}
+
+/**
+ * Memoization cache used by the exported `denormalize` function. Instances
+ * made with `createDenormalizer` have their own.
+ *
+ * It holds a `Map` for each entity key, from the entity ids to the cached
+ * results of the entity: use `clear` and `prune` rather than changing it.
+ */
 export const cache = {};
 
-function denormalizeEntityMemoized(entityOrId, entities, schema, bag) {
+/**
+ * Drop the results of the given entity from the cache of `denormalize`, the
+ * results of every entity of `key` when no id is given, or every result when
+ * no key is given.
+ *
+ * @param   {string} key
+ * @param   {number|string} id
+ */
+export function clear(key, id) {
+  clearEntries(cache, key, id);
+}
+
+/**
+ * Drop the results of the entities that no longer exist in `entities` from
+ * the cache of `denormalize`.
+ *
+ * @param   {object|Immutable.Map} entities
+ */
+export function prune(entities) {
+  pruneEntries(cache, entities);
+}
+
+const completedEntities = new WeakMap();
+
+/**
+ * Return the entities denormalized during the call the bag belongs to, in
+ * the order they were completed, so that each of them is returned wherever
+ * it is found next, as when not memoized.
+ *
+ * @param   {object} bag
+ * @returns {Map}
+ */
+function getCompletedEntities(bag) {
+  if (!completedEntities.has(bag)) {
+    completedEntities.set(bag, new Map());
+  }
+
+  return completedEntities.get(bag);
+}
+
+/**
+ * Forget the entities completed after the first `count` ones, when they
+ * must be denormalized again.
+ *
+ * @param   {object} bag
+ * @param   {number} count
+ */
+function forgetCompletedEntities(bag, count) {
+  const completed = getCompletedEntities(bag);
+
+  Array.from(completed.keys())
+    .slice(count)
+    .forEach(bagKey => completed.delete(bagKey));
+}
+
+/*
+ * Memoized version of `denormalizeEntity`.
+ *
+ * The results are stored in the entry of the entity in `options.cache`, one
+ * for each variant, and are dropped as soon as the entity itself changes.
+ */
+function denormalizeEntityMemoized(entityOrId, entities, schema, bag, options, depth) {
   const key = schema.key;
+  const variant = getVariant(options, depth);
   const { entity, id } = resolveEntityOrId(entityOrId, entities, schema);
+  addDependency(options.dependencies, schema.key, id);
 
-  const schemaDefinition = typeof schema.inferSchema === 'function'
-    ? schema.inferSchema(entityOrId)
-    : (schema.schema || schema);
+  if (isHandledAsMissing(entity, options)) {
+    const { onMissing } = options;
+
+    if (onMissing === 'throw') {
+      return resolveMissingEntity(id, schema, options);
+    }
+
+    /* Keep the same placeholder of each mode as long as the entity is missing */
+    const missing = getEntry(options.cache, key, id, entity, options.maxEntries);
+
+    if (!missing.placeholders) {
+      missing.placeholders = new Map();
+    }
+    if (!missing.placeholders.has(onMissing)) {
+      missing.placeholders.set(onMissing, resolveMissingEntity(id, schema, options));
+    }
+
+    return missing.placeholders.get(onMissing);
+  }
 
   if (!entity) {
     return null;
   }
 
-  /* Cache */
-  if (!cache[key]) {
-    cache[key] = {};
-  }
-  if (!cache[key][id]) {
-    cache[key][id] = {
-      entity,
-      denormalized: entity,
-    };
+  const cached = getEntry(options.cache, key, id, entity, options.maxEntries);
+
+  const bagKey = `${key}${variant}:${id}`;
+  const completed = getCompletedEntities(bag);
+
+  /* As in `denormalizeEntity`, each entity is denormalized once per call */
+  if (completed.has(bagKey)) {
+    return completed.get(bagKey);
   }
-  /* Cache *****/
 
-  if (!bag.hasOwnProperty(`${key}:${id}`)) {
-    bag[`${key}:${id}`] = true;
+  /* The entity is being denormalized higher in the tree: this is a cycle */
+  if (bag.hasOwnProperty(bagKey)) {
+    if (typeof options.cycles !== 'undefined' && options.cycles !== 'reference') {
+      /* Keep the same marker as long as the entity does not change */
+      if (!cached.cycles) {
+        cached.cycles = {};
+      }
+      if (!cached.cycles.hasOwnProperty(options.cycles)) {
+        cached.cycles[options.cycles] = resolveCycle(id, schema, options);
+      }
 
-    /* If cache entity is different, wipe cache */
-    if (cache[key][id].entity !== entity) {
-      cache[key][id].entity = entity;
-      cache[key][id].denormalized = entity;
+      return cached.cycles[options.cycles];
     }
 
-    /* Start with the cache as reference */
-    const referenceObject = cache[key][id].denormalized;
-    const relationsToUpdate = {};
+    bag[bagKey].isReferenced = true;
+    return bag[bagKey].denormalized;
+  }
+
+  /* With a transform, the result before the transform is kept aside */
+  const transform = getTransform(schema, options);
+  const previousResult = cached.denormalized[variant];
+  const previous = transform ? cached.resolved[variant] : previousResult;
+  const definition = getEntityDefinition(schema, options);
+  const selected = selectAttributes(entity, options);
+  const obj = addLookupRelations(selected, id, entities, schema, options);
+  const denormalizeRelations = () => denormalizeObjectMemoized(
+    obj,
+    entities,
+    definition,
+    bag,
+    getRelationsOptions(schema, options),
+    depth + 1,
+    previous,
+  );
 
-    /* For each relation in EntitySchema */
-    Object.keys(schemaDefinition)
-      /* Filter out private attributes */
-      .filter(attribute => attribute.substring(0, 1) !== '_')
-      /* Filter out relations not present */
-      .filter(attribute => typeof getIn(referenceObject, [attribute]) !== 'undefined')
-      .forEach((relation) => {
-        const item = getIn(referenceObject, [relation]);
-        const itemSchema = getIn(schemaDefinition, [relation]);
+  let resolved;
 
-        const denormalizedItem = denormalizeMemoized(item, entities, itemSchema, bag);
+  if (isImmutable(entity)) {
+    // As in `denormalizeEntity`, Immutable cycles resolve to the entity itself
+    bag[bagKey] = { denormalized: selected };
+    resolved = denormalizeRelations();
+  } else {
+    // Expect the entity not to change, so that the cycles resolve to the
+    // previous result
+    const completedCount = completed.size;
 
-        if (denormalizedItem !== item) {
-          relationsToUpdate[relation] = denormalizedItem;
-        }
-      });
+    if (previous) {
+      bag[bagKey] = { denormalized: previousResult, isReferenced: false };
+      resolved = denormalizeRelations();
+    }
 
-    /* If there is any relations to update, we send a new object */
-    let returnObject = referenceObject;
-    if (Object.keys(relationsToUpdate).length > 0) {
-      returnObject = assign({}, returnObject, relationsToUpdate);
+    // Otherwise the cycles must resolve to the new result: it is created
+    // first and filled once the relations are denormalized, forgetting the
+    // entities completed meanwhile as they may refer to the previous result
+    if (!previous || (resolved !== previous && bag[bagKey].isReferenced)) {
+      forgetCompletedEntities(bag, completedCount);
+      const target = {};
+      bag[bagKey] = { denormalized: target, isReferenced: false };
+      resolved = assign(target, denormalizeRelations());
     }
+  }
 
-    /* We update the cache */
-    cache[key][id].denormalized = returnObject;
+  let denormalized = resolved;
+
+  if (resolved === previous) {
+    denormalized = previousResult;
+  } else if (transform) {
+    const { isReferenced } = bag[bagKey];
+    denormalized = transformEntity(transform, resolved, id, schema, definition, isReferenced);
+  }
 
-    delete bag[`${key}:${id}`];
+  delete bag[bagKey];
+  completed.set(bagKey, denormalized);
 
-    return returnObject;
+  /* We update the cache */
+  cached.denormalized[variant] = denormalized;
+  if (transform) {
+    cached.resolved[variant] = resolved;
   }
 
-  return id;
+  return denormalized;
 }
 
 /**
@@ -278,28 +1326,39 @@ function denormalizeEntityMemoized(entityOrId, entities, schema, bag) {
  * @param   {object|Immutable.Map} entities
  * @param   {schema.Entity} schema
  * @param   {object} bag
+ * @param   {object} options
+ * @param   {number} depth
  * @returns {object|Immutable.Map|array|Immutable.list}
  */
-function denormalize(obj, entities, schema, bag = {}) {
+function denormalize(obj, entities, schema, bag = {}, options = {}, depth = 0) {
   if (obj === null || typeof obj === 'undefined' || !isObject(schema)) {
     return obj;
   }
 
+  if (
+    (schema instanceof EntitySchema || schema instanceof UnionSchema) &&
+    isBeyondMaxDepth(options, depth)
+  ) {
+    return obj;
+  }
+
   if (schema instanceof EntitySchema) {
-    return denormalizeEntity(obj, entities, schema, bag);
+    return denormalizeEntity(obj, entities, schema, bag, options, depth);
+  } else if (schema instanceof Through) {
+    return denormalizeThrough(obj, entities, schema, bag, options, depth);
   } else if (
     schema instanceof ValuesSchema ||
     schema instanceof ArraySchema ||
+    schema instanceof HasMany ||
     Array.isArray(schema)
   ) {
-    return denormalizeIterable(obj, entities, schema, bag);
+    return denormalizeIterable(obj, entities, schema, bag, options, depth);
   } else if (schema instanceof UnionSchema) {
-    return denormalizeUnion(obj, entities, schema, bag);
+    return denormalizeUnion(obj, entities, schema, bag, options, depth);
   }
 
-  // Ensure we don't mutate it non-immutable objects
-  const entity = isImmutable(obj) ? obj : merge({}, obj);
-  return denormalizeObject(entity, entities, schema, bag);
+  const entity = copyObject(obj, options);
+  return denormalizeObject(entity, entities, schema, bag, options, depth);
 }
 
 /**
@@ -320,32 +1379,410 @@ function denormalize(obj, entities, schema, bag = {}) {
  * the store changes ; because `denormalize` returns a new object everytime.
  * With memoization, a new object will be returned only if the underlying entity
  * and/or its underlying relations have changed.
+ *
+ * Entities are cached by id, while the other values are compared to
+ * `previous`, the result of their last denormalization. At the root, this is
+ * the last result denormalized with the same schema.
  */
-function denormalizeMemoized(obj, entities, schema, bag = {}) {
+function denormalizeMemoized(
+  obj,
+  entities,
+  schema,
+  bag = {},
+  options = {},
+  depth = 0,
+  previous,
+) {
   if (obj === null || typeof obj === 'undefined' || !isObject(schema)) {
     return obj;
   }
 
+  if (
+    (schema instanceof EntitySchema || schema instanceof UnionSchema) &&
+    isBeyondMaxDepth(options, depth)
+  ) {
+    return obj;
+  }
+
   if (schema instanceof EntitySchema) {
-    return denormalizeEntityMemoized(obj, entities, schema, bag);
+    return denormalizeEntityMemoized(obj, entities, schema, bag, options, depth);
+  } else if (schema instanceof Through) {
+    return denormalizeThroughMemoized(obj, entities, schema, bag, options, depth, previous);
   } else if (
     schema instanceof ValuesSchema ||
     schema instanceof ArraySchema ||
+    schema instanceof HasMany ||
     Array.isArray(schema)
   ) {
-    return denormalizeIterableMemoized(obj, entities, schema, bag);
+    return denormalizeIterableMemoized(obj, entities, schema, bag, options, depth, previous);
   } else if (schema instanceof UnionSchema) {
-    return denormalizeUnionMemoized(obj, entities, schema, bag);
+    return denormalizeUnionMemoized(obj, entities, schema, bag, options, depth);
   }
 
-  return obj;
+  return denormalizeObjectMemoized(obj, entities, schema, bag, options, depth, previous);
 }
 
-// eslint-disable-next-line no-undef,func-names
-module.exports.denormalize = function (obj, entities, schema, options = {}) {
+/**
+ * Denormalizes `obj` according to the given options, memoizing the results
+ * in `memoizationCache` when `options.memoized` is set.
+ *
+ * @param   {object} memoizationCache
+ * @param   {object|Immutable.Map|array|Immutable.list|number|string} obj
+ * @param   {object|Immutable.Map} entities
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {object|Immutable.Map|array|Immutable.list}
+ */
+function denormalizeWithCache(memoizationCache, obj, entities, schema, options) {
   if (options.memoized) {
-    return denormalizeMemoized(obj, entities, schema, {});
+    const denormalized = denormalizeMemoized(
+      obj,
+      entities,
+      schema,
+      {},
+      assign({}, options, { cache: memoizationCache }),
+      0,
+      getLastResult(memoizationCache, schema),
+    );
+
+    setLastResult(memoizationCache, schema, denormalized);
+
+    return denormalized === OMITTED ? undefined : denormalized;
+  }
+
+  const denormalized = denormalize(obj, entities, schema, {}, options);
+
+  return denormalized === OMITTED ? undefined : denormalized;
+}
+
+const arraySchemas = new WeakMap();
+
+/**
+ * Return the same array schema for each entity schema, so that memoized
+ * results of whole tables can be compared to the last ones.
+ *
+ * @param   {schema.Entity} schema
+ * @returns {Array}
+ */
+function getArraySchema(schema) {
+  if (!arraySchemas.has(schema)) {
+    arraySchemas.set(schema, [schema]);
+  }
+
+  return arraySchemas.get(schema);
+}
+
+/**
+ * Denormalizes the entities of `schema` selected from their table by the
+ * `where`, `orderBy`, `order`, `limit` and `offset` options, sharing the
+ * same bag.
+ *
+ * @param   {object} memoizationCache
+ * @param   {object|Immutable.Map} entities
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {array|Immutable.List}
+ */
+function denormalizeAllWithCache(memoizationCache, entities, schema, options) {
+  return denormalizeWithCache(
+    memoizationCache,
+    selectIds(entities, schema.key, options),
+    entities,
+    getArraySchema(schema),
+    options,
+  );
+}
+
+/**
+ * Denormalizes the entities of `schema` found in `entities`, filtered,
+ * sorted and paginated with the options:
+ *
+ * - `where`, a function called with each entity and its id, or an object
+ *   of the values the attributes of the entities must be equal to;
+ * - `orderBy`, the attribute the entities are sorted by, or a function
+ *   returning the value they are sorted by, and `order`, `'asc'` or `'desc'`;
+ * - `limit` and `offset`, to keep only some of them.
+ *
+ * The other options are the same as `denormalize`.
+ *
+ * @param   {object|Immutable.Map} entities
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {array|Immutable.List}
+ */
+export function denormalizeAll(entities, schema, options = {}) {
+  return denormalizeAllWithCache(cache, entities, schema, options);
+}
+
+/**
+ * Denormalizes `obj` like `denormalizeWithCache`, collecting the entities
+ * the result is denormalized from.
+ *
+ * @param   {object} memoizationCache
+ * @param   {object|Immutable.Map|array|Immutable.list|number|string} obj
+ * @param   {object|Immutable.Map} entities
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {object} the result and the collected dependencies
+ */
+function denormalizeTracked(memoizationCache, obj, entities, schema, options) {
+  const dependencies = createDependencies();
+  const result = denormalizeWithCache(
+    memoizationCache,
+    obj,
+    entities,
+    schema,
+    assign({}, options, { dependencies }),
+  );
+
+  return { result, dependencies };
+}
+
+/**
+ * Denormalizes `obj` like `denormalizeWithCache`, returning the result and
+ * the ids of the entities it is denormalized from.
+ *
+ * @param   {object} memoizationCache
+ * @param   {object|Immutable.Map|array|Immutable.list|number|string} obj
+ * @param   {object|Immutable.Map} entities
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {object}
+ */
+function denormalizeWithDependenciesAndCache(memoizationCache, obj, entities, schema, options) {
+  const { result, dependencies } = denormalizeTracked(
+    memoizationCache,
+    obj,
+    entities,
+    schema,
+    options,
+  );
+
+  return { result, dependencies: toDependencyObject(dependencies) };
+}
+
+/**
+ * Same as `denormalize`, but returns `{ result, dependencies }`, where
+ * `dependencies` holds the ids of the entities the result is denormalized
+ * from, by entity key. The ids of the missing entities are included, so that
+ * the result can be denormalized again once they are added.
+ *
+ * @param   {object|Immutable.Map|array|Immutable.list|number|string} obj
+ * @param   {object|Immutable.Map} entities
+ * @param   {schema.Entity} schema
+ * @param   {object} options
+ * @returns {object}
+ */
+export function denormalizeWithDependencies(obj, entities, schema, options = {}) {
+  return denormalizeWithDependenciesAndCache(cache, obj, entities, schema, options);
+}
+
+/**
+ * Check whether two values of ids are the same, or arrays of the same ids.
+ *
+ * @param   {any} ids
+ * @param   {any} otherIds
+ * @returns {boolean}
+ */
+function areSameIds(ids, otherIds) {
+  if (ids === otherIds) {
+    return true;
   }
 
-  return denormalize(obj, entities, schema, {});
+  return Array.isArray(ids) && Array.isArray(otherIds) &&
+    ids.length === otherIds.length &&
+    ids.every((id, index) => id === otherIds[index]);
+}
+
+/**
+ * Creates a selector denormalizing the ids selected by `getIds`, memoizing
+ * the entities in the cache returned by `getCache`. See
+ * `createDenormalizeSelector`.
+ *
+ * @param   {function} getCache
+ * @param   {function} getIds
+ * @param   {schema.Entity|array|object} schema
+ * @param   {object} options
+ * @returns {function}
+ */
+function createSelectorWithCache(getCache, getIds, schema, options) {
+  const getEntities = options.getEntities || (state => state.entities);
+  const denormalizeOptions = assign({}, options, { memoized: true, getEntities: undefined });
+  let last;
+
+  return (state, ...args) => {
+    const ids = getIds(state, ...args);
+    const entities = getEntities(state, ...args);
+
+    if (
+      last &&
+      areSameIds(ids, last.ids) &&
+      (entities === last.entities || haveSameReferences(last.references, entities))
+    ) {
+      last.entities = entities;
+      return last.result;
+    }
+
+    const { result, dependencies } = denormalizeTracked(
+      getCache(),
+      ids,
+      entities,
+      schema,
+      denormalizeOptions,
+    );
+
+    last = {
+      ids,
+      entities,
+      result,
+      references: getDependencyReferences(dependencies, entities),
+    };
+
+    return result;
+  };
+}
+
+/**
+ * Creates a denormalizer with its own memoization cache, so that separate
+ * stores, server-side requests or tests do not share denormalized entities.
+ *
+ * The returned object exposes:
+ *
+ * - `denormalize(obj, entities, schema, options)`, same as the exported
+ *   `denormalize`, with `defaultOptions` applied to every call;
+ * - `denormalizeAll(entities, schema, options)` and
+ *   `denormalizeWithDependencies(obj, entities, schema, options)`, same as
+ *   the exported functions, with `defaultOptions` applied too;
+ * - `createSelector(getIds, schema, options)`, same as the exported
+ *   `createDenormalizeSelector`, memoizing the entities in the cache of
+ *   the denormalizer;
+ * - `clear(key, id)`, which drops the cached results of the given entity,
+ *   of every entity of `key` when no id is given, or of every entity when
+ *   no key is given;
+ * - `prune(entities)`, which drops the cached results of the entities that
+ *   no longer exist in `entities`;
+ * - `reset()`, which empties the whole cache.
+ *
+ * Set the `maxEntries` option to keep at most that many entities of each
+ * key in the cache, evicting the least recently used ones first.
+ *
+ * @param   {object} defaultOptions
+ * @returns {object}
+ */
+export function createDenormalizer(defaultOptions = {}) {
+  let memoizationCache = {};
+
+  return {
+    denormalize(obj, entities, schema, options = {}) {
+      return denormalizeWithCache(
+        memoizationCache,
+        obj,
+        entities,
+        schema,
+        assign({}, defaultOptions, options),
+      );
+    },
+
+    denormalizeAll(entities, schema, options = {}) {
+      return denormalizeAllWithCache(
+        memoizationCache,
+        entities,
+        schema,
+        assign({}, defaultOptions, options),
+      );
+    },
+
+    denormalizeWithDependencies(obj, entities, schema, options = {}) {
+      return denormalizeWithDependenciesAndCache(
+        memoizationCache,
+        obj,
+        entities,
+        schema,
+        assign({}, defaultOptions, options),
+      );
+    },
+
+    createSelector(getIds, schema, options = {}) {
+      return createSelectorWithCache(
+        () => memoizationCache,
+        getIds,
+        schema,
+        assign({}, defaultOptions, options),
+      );
+    },
+
+    clear(key, id) {
+      clearEntries(memoizationCache, key, id);
+    },
+
+    prune(entities) {
+      pruneEntries(memoizationCache, entities);
+    },
+
+    reset() {
+      memoizationCache = {};
+    },
+  };
+}
+
+/**
+ * Creates a selector returning the entities whose ids are selected by
+ * `getIds`, denormalized with `schema`.
+ *
+ * The selector keeps the references of the entities and tables the last
+ * result was denormalized from: as long as the ids and these references are
+ * the same, the last result is returned without walking the tree again,
+ * whatever the other changes in the store. Otherwise, the entities are
+ * denormalized with the `memoized` option and a cache of its own, so that
+ * the unchanged ones keep their references.
+ *
+ * The entities are taken from `state.entities`, unless a `getEntities`
+ * option is given. The other options are the same as `denormalize`.
+ *
+ * @param   {function} getIds
+ * @param   {schema.Entity|array|object} schema
+ * @param   {object} options
+ * @returns {function}
+ */
+export function createDenormalizeSelector(getIds, schema, options = {}) {
+  const memoizationCache = {};
+
+  return createSelectorWithCache(() => memoizationCache, getIds, schema, options);
+}
+
+/**
+ * Watches the entity with the given id as denormalized with `schema`, from
+ * the entities of a store-like `entitiesSource`, with `subscribe(listener)`
+ * and `getState()` methods.
+ *
+ * Each time the source notifies a change, the result is denormalized again
+ * only when one of its dependencies changed, and `callback` is called with
+ * the new and the previous results when it is not the same. The entities
+ * are taken from `state.entities`, unless a `getEntities` option is given.
+ * The other options are the same as `createDenormalizeSelector`.
+ *
+ * @param   {object} entitiesSource
+ * @param   {number|string} id
+ * @param   {schema.Entity} schema
+ * @param   {function} callback
+ * @param   {object} options
+ * @returns {function} stops watching
+ */
+export function watch(entitiesSource, id, schema, callback, options = {}) {
+  const select = createDenormalizeSelector(() => id, schema, options);
+  let value = select(entitiesSource.getState());
+
+  return entitiesSource.subscribe(() => {
+    const previous = value;
+    value = select(entitiesSource.getState());
+
+    if (value !== previous) {
+      callback(value, previous);
+    }
+  });
+}
+
+// eslint-disable-next-line no-undef,func-names
+module.exports.denormalize = function (obj, entities, schema, options = {}) {
+  return denormalizeWithCache(cache, obj, entities, schema, options);
 };
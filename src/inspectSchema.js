@@ -0,0 +1,271 @@
+import { schema as Schema } from 'normalizr';
+import isObject from 'lodash/isObject';
+import HasMany from './HasMany';
+import Through from './Through';
+
+const EntitySchema = Schema.Entity;
+const ArraySchema = Schema.Array;
+const UnionSchema = Schema.Union;
+const ValuesSchema = Schema.Values;
+
+/**
+ * Return the type of a relation found inside an array or a values schema.
+ *
+ * @param   {string} type
+ * @returns {string}
+ */
+function toManyType(type) {
+  return type === 'one' ? 'many' : type;
+}
+
+/**
+ * Return the schemas of a polymorphic schema (array, values or union),
+ * whether it has a single schema or one for each value of its schema
+ * attribute.
+ *
+ * @param   {object} schema
+ * @returns {array}
+ */
+function getMemberSchemas(schema) {
+  if (schema.isSingleSchema === false) {
+    return Object.keys(schema.schema).map(key => schema.schema[key]);
+  }
+
+  return [schema.schema];
+}
+
+/**
+ * Find the cycles of the graph, as its strongly connected components found
+ * with Tarjan's algorithm, in linear time: each component with more than one
+ * entity, or with a relation to itself, is given with its entities and the
+ * relations between them, each of which closes a cycle.
+ *
+ * @param   {array} entities
+ * @param   {array} relations
+ * @returns {array}
+ */
+function findCycles(entities, relations) {
+  const indexes = {};
+  const lowLinks = {};
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let nextIndex = 0;
+
+  const walk = (key) => {
+    indexes[key] = nextIndex;
+    lowLinks[key] = nextIndex;
+    nextIndex += 1;
+    stack.push(key);
+    onStack.add(key);
+
+    relations
+      .filter(relation => relation.from === key)
+      .forEach(({ to }) => {
+        if (!indexes.hasOwnProperty(to)) {
+          walk(to);
+          lowLinks[key] = Math.min(lowLinks[key], lowLinks[to]);
+        } else if (onStack.has(to)) {
+          lowLinks[key] = Math.min(lowLinks[key], indexes[to]);
+        }
+      });
+
+    // The entity is the root of a component: pop it from the stack
+    if (lowLinks[key] === indexes[key]) {
+      const component = new Set();
+      let member;
+
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.add(member);
+      } while (member !== key);
+
+      components.push(component);
+    }
+  };
+
+  entities.forEach((key) => {
+    if (!indexes.hasOwnProperty(key)) {
+      walk(key);
+    }
+  });
+
+  return components
+    .map(component => ({
+      entities: entities.filter(key => component.has(key)),
+      relations: relations.filter(({ from, to }) => component.has(from) && component.has(to)),
+    }))
+    .filter(cycle => cycle.relations.length > 0)
+    .sort((cycle, other) =>
+      entities.indexOf(cycle.entities[0]) - entities.indexOf(other.entities[0]),
+    );
+}
+
+/**
+ * Quote a string for DOT.
+ *
+ * @param   {string} text
+ * @returns {string}
+ */
+function quoteDOT(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Quote a string for Mermaid.
+ *
+ * @param   {string} text
+ * @returns {string}
+ */
+function quoteMermaid(text) {
+  return `"${text.replace(/"/g, '#quot;')}"`;
+}
+
+/**
+ * Render the graph as Graphviz DOT: the relations to many entities end with
+ * a crow's foot, and the ones found by lookup are dashed.
+ *
+ * @param   {object} graph
+ * @returns {string}
+ */
+function toDOT({ entities, relations }) {
+  const lines = entities.map(key => `  ${quoteDOT(key)};`);
+
+  relations.forEach(({ from, attribute, to, type }) => {
+    const attributes = [`label=${quoteDOT(attribute)}`];
+
+    if (type !== 'one') {
+      attributes.push('arrowhead=crow');
+    }
+    if (type === 'hasMany' || type === 'through') {
+      attributes.push('style=dashed');
+    }
+
+    lines.push(`  ${quoteDOT(from)} -> ${quoteDOT(to)} [${attributes.join(', ')}];`);
+  });
+
+  return `digraph schema {\n${lines.join('\n')}\n}\n`;
+}
+
+/**
+ * Render the graph as a Mermaid flowchart: the relations to many entities
+ * are thick, and the ones found by lookup are dotted.
+ *
+ * @param   {object} graph
+ * @returns {string}
+ */
+function toMermaid({ entities, relations }) {
+  const ids = {};
+  const lines = entities.map((key, index) => {
+    ids[key] = `e${index}`;
+    return `  ${ids[key]}[${quoteMermaid(key)}]`;
+  });
+
+  relations.forEach(({ from, attribute, to, type }) => {
+    let arrow = '-->';
+
+    if (type === 'hasMany' || type === 'through') {
+      arrow = '-.->';
+    } else if (type === 'many') {
+      arrow = '==>';
+    }
+
+    lines.push(`  ${ids[from]} ${arrow}|${quoteMermaid(attribute)}| ${ids[to]}`);
+  });
+
+  return `graph LR\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Walks `rootSchema` and returns the graph of its entities and their
+ * relations:
+ *
+ * - `entities`, the keys of the entities, in the order they are found;
+ * - `relations`, the `{ from, attribute, to, type }` relations, where
+ *   `attribute` is the path of the relation in the entity `from`, e.g.
+ *   `meta.author`, and `type` is `'one'`, `'many'`, `'hasMany'` or
+ *   `'through'`, with the key of the join entities as `through`;
+ * - `cycles`, the groups of entities reaching each other through their
+ *   relations, as `{ entities, relations }` with the relations between
+ *   them;
+ * - `toDOT()` and `toMermaid()`, which render the graph as text.
+ *
+ * @param   {object} rootSchema
+ * @returns {object}
+ */
+export default function inspectSchema(rootSchema) {
+  const entities = [];
+  const relations = [];
+  const visited = new Set();
+  const relationIds = new Set();
+
+  let visitEntity;
+
+  const visitSchema = (schema, from, path, type, through) => {
+    if (!isObject(schema)) {
+      return;
+    }
+
+    const attribute = path.join('.');
+
+    if (schema instanceof EntitySchema) {
+      const id = `${from}\n${attribute}\n${schema.key}`;
+
+      if (from !== null && !relationIds.has(id)) {
+        relationIds.add(id);
+        relations.push(through
+          ? { from, attribute, to: schema.key, type, through }
+          : { from, attribute, to: schema.key, type },
+        );
+      }
+      visitEntity(schema);
+    } else if (schema instanceof HasMany) {
+      visitSchema(schema.schema, from, path, 'hasMany');
+    } else if (schema instanceof Through) {
+      visitSchema(schema.schema, from, path, 'through', schema.joinSchema.key);
+      visitEntity(schema.joinSchema);
+    } else if (Array.isArray(schema)) {
+      schema.forEach(itemSchema => visitSchema(itemSchema, from, path, toManyType(type), through));
+    } else if (schema instanceof ArraySchema || schema instanceof ValuesSchema) {
+      getMemberSchemas(schema).forEach(itemSchema =>
+        visitSchema(itemSchema, from, path, toManyType(type), through),
+      );
+    } else if (schema instanceof UnionSchema) {
+      getMemberSchemas(schema).forEach(memberSchema =>
+        visitSchema(memberSchema, from, path, type, through),
+      );
+    } else {
+      const definition = schema.schema || schema;
+      Object.keys(definition).forEach(key =>
+        visitSchema(definition[key], from, path.concat(key), type, through),
+      );
+    }
+  };
+
+  visitEntity = (schema) => {
+    if (visited.has(schema)) {
+      return;
+    }
+    visited.add(schema);
+
+    if (entities.indexOf(schema.key) === -1) {
+      entities.push(schema.key);
+    }
+
+    visitSchema(schema.schema, schema.key, [], 'one');
+  };
+
+  visitSchema(rootSchema, null, [], 'one');
+
+  const graph = {
+    entities,
+    relations,
+    cycles: findCycles(entities, relations),
+  };
+
+  graph.toDOT = () => toDOT(graph);
+  graph.toMermaid = () => toMermaid(graph);
+
+  return graph;
+}
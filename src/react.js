@@ -0,0 +1,82 @@
+import assign from 'lodash/assign';
+import { createElement, useMemo } from 'react';
+import { useSelector, useStore } from 'react-redux';
+import { createDenormalizer } from './index';
+
+/**
+ * React bindings, to denormalize the entities of the store provided by
+ * `react-redux`. The entities are memoized in a cache of each store, shared
+ * by the components connected to it.
+ */
+
+const denormalizers = new WeakMap();
+
+/**
+ * Return the denormalizer holding the cache of `store`.
+ *
+ * @param   {object} store
+ * @returns {object}
+ */
+function getDenormalizer(store) {
+  if (!denormalizers.has(store)) {
+    denormalizers.set(store, createDenormalizer());
+  }
+
+  return denormalizers.get(store);
+}
+
+/**
+ * Return the entity, or the entities, with the given ids denormalized with
+ * `schema`. The same result is returned across renders as long as the
+ * entities it is denormalized from are the same.
+ *
+ * The entities are taken from `state.entities`, unless a `selectEntities`
+ * function is given. Like `schema`, it should be defined once, outside the
+ * component.
+ *
+ * @param   {number|string|array} idOrIds
+ * @param   {schema.Entity|array|object} schema
+ * @param   {function} selectEntities
+ * @returns {object|array}
+ */
+export function useDenormalized(idOrIds, schema, selectEntities) {
+  const store = useStore();
+  const select = useMemo(
+    () => getDenormalizer(store).createSelector(
+      (state, ids) => ids,
+      schema,
+      { getEntities: selectEntities },
+    ),
+    [store, schema, selectEntities],
+  );
+
+  return useSelector(state => select(state, idOrIds));
+}
+
+/**
+ * Wrap `Component` so that it receives the entity, or the entities, with
+ * the ids returned by `getIds(props)` denormalized with `schema`.
+ *
+ * @param   {function} getIds
+ * @param   {schema.Entity|array|object} schema
+ * @param   {object} options `prop`, the name of the prop receiving the
+ *                           result (default `'denormalized'`), and
+ *                           `selectEntities`, as for `useDenormalized`
+ * @returns {function}
+ */
+export function withDenormalized(getIds, schema, options = {}) {
+  const prop = options.prop || 'denormalized';
+
+  return (Component) => {
+    function WithDenormalized(props) {
+      const denormalized = useDenormalized(getIds(props), schema, options.selectEntities);
+
+      return createElement(Component, assign({}, props, { [prop]: denormalized }));
+    }
+
+    const name = Component.displayName || Component.name || 'Component';
+    WithDenormalized.displayName = `withDenormalized(${name})`;
+
+    return WithDenormalized;
+  };
+}
@@ -0,0 +1,140 @@
+import { schema as Schema } from 'normalizr';
+import isObject from 'lodash/isObject';
+import HasMany from './HasMany';
+import Through from './Through';
+
+const EntitySchema = Schema.Entity;
+const ArraySchema = Schema.Array;
+const UnionSchema = Schema.Union;
+const ValuesSchema = Schema.Values;
+
+/**
+ * Check whether a value is a marker left by the `cycles: 'ref'` option.
+ *
+ * @param   {any} value
+ * @returns {boolean}
+ */
+function isReference(value) {
+  return isObject(value) && typeof value.$ref === 'string';
+}
+
+/**
+ * Walks a denormalized value following its schema, calling `visit` with each
+ * value, its schema and the place where it was found. Each object is walked
+ * only once, and the walk does not go deeper when `visit` returns `false`.
+ *
+ * @param   {any} value
+ * @param   {object} schema
+ * @param   {object} parent
+ * @param   {string|number} attribute
+ * @param   {function} visit
+ * @param   {Set} visited
+ */
+function walk(value, schema, parent, attribute, visit, visited) {
+  if (
+    !isObject(value) ||
+    !isObject(schema) ||
+    visit(value, schema, parent, attribute) === false
+  ) {
+    return;
+  }
+
+  if (schema instanceof UnionSchema) {
+    const schemaAttribute = schema.getSchemaAttribute(value, parent, attribute);
+    walk(value, schema.schema[schemaAttribute], parent, attribute, visit, visited);
+    return;
+  }
+
+  // Objects already walked, e.g. when the value already has cycles
+  if (visited.has(value)) {
+    return;
+  }
+  visited.add(value);
+
+  if (
+    schema instanceof ValuesSchema ||
+    schema instanceof ArraySchema ||
+    schema instanceof HasMany ||
+    schema instanceof Through ||
+    Array.isArray(schema)
+  ) {
+    const itemSchema = Array.isArray(schema) ? schema[0] : schema.schema;
+    Object.keys(value).forEach(key =>
+      walk(value[key], itemSchema, value, key, visit, visited),
+    );
+  } else {
+    const schemaDefinition = schema.schema || schema;
+    Object.keys(schemaDefinition).forEach(key =>
+      walk(value[key], schemaDefinition[key], value, key, visit, visited),
+    );
+  }
+}
+
+/**
+ * Replaces every occurrence of `from` found in `denormalized` with `to`.
+ *
+ * Note: this mutates the denormalized objects, and does not support
+ * Immutable objects.
+ *
+ * @param   {object|array} denormalized
+ * @param   {object} schema
+ * @param   {object} from
+ * @param   {object} to
+ * @param   {function} [onReplace] called with the parent and the attribute
+ *                                 of each replaced occurrence
+ */
+export function replaceReferences(denormalized, schema, from, to, onReplace) {
+  walk(denormalized, schema, undefined, undefined, (value, valueSchema, parent, attribute) => {
+    if (value !== from) {
+      return true;
+    }
+
+    if (parent) {
+      parent[attribute] = to;
+
+      if (onReplace) {
+        onReplace(parent, attribute);
+      }
+    }
+    return false;
+  }, new Set());
+}
+
+/**
+ * Takes the result of denormalizing with the `cycles: 'ref'` option and
+ * replaces the `{ $ref: 'key/id' }` markers with the entities they refer
+ * to, turning it back into a graph with cycles.
+ *
+ * Note: this mutates the denormalized objects, and does not support
+ * Immutable objects.
+ *
+ * @param   {object|array} denormalized
+ * @param   {schema.Entity} schema
+ * @returns {object|array}
+ */
+export default function relink(denormalized, schema) {
+  const entities = {};
+  const markers = [];
+
+  // Save each entity under its `key/id` reference and each marker with the
+  // place where it was found
+  walk(denormalized, schema, undefined, undefined, (value, valueSchema, parent, attribute) => {
+    if (isReference(value)) {
+      markers.push({ parent, attribute, ref: value.$ref });
+      return false;
+    }
+
+    if (valueSchema instanceof EntitySchema) {
+      entities[`${valueSchema.key}/${valueSchema.getId(value, parent, attribute)}`] = value;
+    }
+    return true;
+  }, new Set());
+
+  markers
+    .filter(({ parent, ref }) => parent && entities.hasOwnProperty(ref))
+    .forEach(({ parent, attribute, ref }) => {
+      parent[attribute] = entities[ref];
+    });
+
+  return denormalized;
+}
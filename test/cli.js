@@ -0,0 +1,195 @@
+/* eslint-env mocha */
+
+import { expect } from 'chai';
+import path from 'path';
+import { PassThrough } from 'stream';
+
+import { run, parseArgs } from '../src/cli';
+
+const fixtures = path.join(__dirname, 'fixtures', 'cli');
+
+const createOutput = () => {
+  const output = { text: '' };
+  output.write = (chunk) => {
+    output.text += chunk;
+  };
+  return output;
+};
+
+const runWith = (args, stdinText) => {
+  const stdin = new PassThrough();
+  const io = { stdin, stdout: createOutput(), stderr: createOutput(), cwd: fixtures };
+
+  if (typeof stdinText === 'string') {
+    stdin.end(stdinText);
+  }
+
+  return run(args, io).then(code => ({ code, stdout: io.stdout.text, stderr: io.stderr.text }));
+};
+
+describe('cli', () => {
+  describe('parsing the arguments', () => {
+    it('should parse the options and the flags', () => {
+      expect(parseArgs(['--schema', 'schemas.js', '--depth=2', '--pretty'])).to.be.eql({
+        schema: 'schemas.js',
+        depth: '2',
+        pretty: true,
+      });
+    });
+
+    it('should throw on unexpected arguments', () => {
+      expect(() => parseArgs(['schemas.js'])).to.throw('Unexpected argument "schemas.js".');
+      expect(() => parseArgs(['--root'])).to.throw('Missing value for "--root".');
+    });
+  });
+
+  it('should print the denormalized result of the files', () =>
+    runWith([
+      '--schema', './schemas.js',
+      '--entities', 'entities.json',
+      '--result', 'result.json',
+      '--root', 'articles',
+    ]).then(({ code, stdout, stderr }) => {
+      expect(code).to.equal(0);
+      expect(stderr).to.equal('');
+      expect(JSON.parse(stdout)).to.be.eql([
+        {
+          id: 1,
+          title: 'Some Article',
+          author: {
+            id: 1,
+            name: 'Dan',
+            articles: [
+              { $ref: 'articles/1' },
+              { id: 2, title: 'Other Article', author: { $ref: 'users/1' } },
+            ],
+          },
+        },
+        { id: 2, title: 'Other Article', author: { $ref: 'users/1' } },
+      ]);
+    }),
+  );
+
+  it('should denormalize each id of an array with an entity schema', () =>
+    runWith([
+      '--schema', './schemas.js',
+      '--entities', 'entities.json',
+      '--result', 'result.json',
+      '--root', 'article',
+      '--depth', '0',
+    ]).then(({ stdout }) => {
+      expect(stdout).to.equal(
+        '[{"id":1,"title":"Some Article","author":1},{"id":2,"title":"Other Article","author":1}]\n',
+      );
+    }),
+  );
+
+  it('should limit the depth and indent the output', () =>
+    runWith([
+      '--schema', './schemas.js',
+      '--entities', 'normalized.json',
+      '--root', 'user',
+      '--depth', '1',
+      '--pretty',
+    ]).then(({ stdout }) => {
+      expect(stdout).to.equal([
+        '{',
+        '  "id": 1,',
+        '  "name": "Dan",',
+        '  "articles": [',
+        '    {',
+        '      "id": 1,',
+        '      "title": "Some Article",',
+        '      "author": 1',
+        '    }',
+        '  ]',
+        '}',
+        '',
+      ].join('\n'));
+    }),
+  );
+
+  it('should read the output of normalizr from stdin', () =>
+    runWith(
+      ['--schema', './schemas.js', '--root', 'article', '--depth', '1'],
+      JSON.stringify({
+        entities: { articles: { 3: { id: 3, author: 2 } }, users: { 2: { id: 2 } } },
+        result: 3,
+      }),
+    ).then(({ code, stdout }) => {
+      expect(code).to.equal(0);
+      expect(JSON.parse(stdout)).to.be.eql({ id: 3, author: { id: 2 } });
+    }),
+  );
+
+  it('should read the entities from stdin', () =>
+    runWith(
+      ['--schema', './schemas.js', '--root', 'user', '--entities', '-', '--result', 'result.json'],
+      JSON.stringify({ users: { 1: { id: 1 }, 2: { id: 2 } } }),
+    ).then(({ stdout }) => {
+      expect(JSON.parse(stdout)).to.be.eql([{ id: 1 }, { id: 2 }]);
+    }),
+  );
+
+  it('should print the usage', () =>
+    runWith(['--help']).then(({ code, stdout }) => {
+      expect(code).to.equal(0);
+      expect(stdout).to.match(/^Usage: denormalizr/);
+    }),
+  );
+
+  describe('handling errors', () => {
+    it('should require the schema and the root', () =>
+      runWith(['--schema', './schemas.js']).then(({ code, stdout, stderr }) => {
+        expect(code).to.equal(1);
+        expect(stdout).to.equal('');
+        expect(stderr).to.equal('denormalizr: The --schema and --root options are required.\n');
+      }),
+    );
+
+    it('should fail when the root is not exported', () =>
+      runWith(['--schema', './schemas.js', '--root', 'comments', '--entities', 'entities.json'])
+        .then(({ code, stderr }) => {
+          expect(code).to.equal(1);
+          expect(stderr).to.equal('denormalizr: No schema "comments" is exported by ./schemas.js.\n');
+        }),
+    );
+
+    it('should fail on invalid JSON', () =>
+      runWith(['--schema', './schemas.js', '--root', 'user'], '{').then(({ code, stderr }) => {
+        expect(code).to.equal(1);
+        expect(stderr).to.match(/^denormalizr: Cannot parse stdin: /);
+      }),
+    );
+
+    it('should fail without a result', () =>
+      runWith(['--schema', './schemas.js', '--root', 'user', '--entities', 'entities.json'])
+        .then(({ code, stderr }) => {
+          expect(code).to.equal(1);
+          expect(stderr).to.equal(
+            'denormalizr: Give the --result option, or the output of normalizr as entities.\n',
+          );
+        }),
+    );
+
+    it('should fail when an array schema is given a single id', () =>
+      runWith(['--schema', './schemas.js', '--root', 'articles', '--entities', 'normalized.json'])
+        .then(({ code, stdout, stderr }) => {
+          expect(code).to.equal(1);
+          expect(stdout).to.equal('');
+          expect(stderr).to.equal(
+            'denormalizr: The "articles" schema expects an array or an object of values, ' +
+            'but the result is 1.\n',
+          );
+        }),
+    );
+
+    it('should fail on an invalid depth', () =>
+      runWith(['--schema', './schemas.js', '--root', 'user', '--depth', 'all'])
+        .then(({ code, stderr }) => {
+          expect(code).to.equal(1);
+          expect(stderr).to.equal('denormalizr: Invalid depth "all".\n');
+        }),
+    );
+  });
+});
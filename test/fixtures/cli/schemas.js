@@ -0,0 +1,18 @@
+const { schema } = require('normalizr');
+
+const article = new schema.Entity('articles');
+const user = new schema.Entity('users');
+
+article.define({
+  author: user,
+});
+
+user.define({
+  articles: [article],
+});
+
+module.exports = {
+  article,
+  articles: [article],
+  user,
+};
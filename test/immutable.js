@@ -2,11 +2,22 @@
 
 import chai, { expect } from 'chai';
 import { normalize, schema as Schema } from 'normalizr';
-import { fromJS } from 'immutable';
+import { fromJS, Map, Record } from 'immutable';
 import cloneDeep from 'lodash/cloneDeep';
 import chaiImmutable from 'chai-immutable';
 
-import { denormalize } from '../src';
+import {
+  denormalize,
+  denormalizeAll,
+  createDenormalizer,
+  hasMany,
+  through,
+  isImmutable,
+  getIn,
+  setIn,
+  deleteIn,
+  pick,
+} from '../src';
 
 chai.use(chaiImmutable);
 
@@ -159,6 +170,472 @@ describe('(Immutable) denormalize', () => {
 
       expect(denormalized.getIn(['author', 'articles', '0'])).to.be.eql(article);
     });
+
+    it('should handle recursion for interdependency when memoized', () => {
+      const article = data.entities.getIn(['articles', '80']);
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(80, data.entities, articleSchema);
+
+      expect(denormalized.getIn(['author', 'articles', 0]) === article).to.be.true;
+      expect(denormalizer.denormalize(80, data.entities, articleSchema) === denormalized)
+        .to.be.true;
+    });
+
+    it('should keep the same lists of entities with cycles when memoized', () => {
+      const entities = data.entities
+        .setIn(['articles', '81'], fromJS({ id: 81, title: 'Other Article', author: 1 }))
+        .setIn(['users', '1', 'articles'], fromJS([80, 81]));
+      const articleListSchema = [articleSchema];
+      const denormalizer = createDenormalizer({ memoized: true });
+      const ids = fromJS([80, 81]);
+      const denormalized = denormalizer.denormalize(ids, entities, articleListSchema);
+
+      expect(denormalizer.denormalize(ids, entities, articleListSchema) === denormalized)
+        .to.be.true;
+    });
+  });
+
+  describe('limiting the depth', () => {
+    const articleSchema = new Schema.Entity('articles');
+    const userSchema = new Schema.Entity('users');
+    const commentSchema = new Schema.Entity('comments');
+
+    articleSchema.define({
+      author: userSchema,
+      comments: new Schema.Array(commentSchema),
+    });
+
+    userSchema.define({
+      articles: new Schema.Array(articleSchema),
+    });
+
+    commentSchema.define({
+      author: userSchema,
+    });
+
+    const response = {
+      articles: [{
+        id: 1,
+        title: 'Some Article',
+        author: {
+          id: 1,
+          name: 'Dan',
+          articles: [1],
+        },
+        comments: [{
+          id: 1,
+          body: 'Nice!',
+          author: {
+            id: 2,
+            name: 'Alice',
+          },
+        }],
+      }],
+    };
+
+    const data = immutableNormalize(response, {
+      articles: new Schema.Array(articleSchema),
+    });
+
+    it('should leave the relations of the root entity as ids', () => {
+      const denormalized = denormalize(1, data.entities, articleSchema, { maxDepth: 0 });
+
+      expect(denormalized).to.be.eql(data.entities.getIn(['articles', '1']));
+    });
+
+    it('should expand relations up to the given depth', () => {
+      const denormalized = denormalize(1, data.entities, articleSchema, { maxDepth: 1 });
+
+      expect(denormalized).to.be.eql(fromJS({
+        id: 1,
+        title: 'Some Article',
+        author: { id: 1, name: 'Dan', articles: [1] },
+        comments: [{ id: 1, body: 'Nice!', author: 2 }],
+      }));
+    });
+
+    it('should apply the depth to each item of a list', () => {
+      const options = { maxDepth: 0 };
+      const denormalized = denormalize(fromJS([1]), data.entities, [articleSchema], options);
+
+      expect(denormalized).to.be.eql(fromJS([data.entities.getIn(['articles', '1'])]));
+    });
+  });
+
+  describe('selecting attributes', () => {
+    const articleSchema = new Schema.Entity('articles');
+    const userSchema = new Schema.Entity('users');
+    const commentSchema = new Schema.Entity('comments');
+
+    articleSchema.define({
+      author: userSchema,
+      comments: new Schema.Array(commentSchema),
+    });
+
+    commentSchema.define({
+      author: userSchema,
+    });
+
+    const response = {
+      articles: [{
+        id: 1,
+        title: 'Some Article',
+        body: 'Lorem ipsum',
+        author: {
+          id: 1,
+          name: 'Dan',
+          email: 'dan@example.com',
+        },
+        comments: [{
+          id: 1,
+          body: 'Nice!',
+          author: {
+            id: 2,
+            name: 'Alice',
+          },
+        }],
+      }],
+    };
+
+    const data = immutableNormalize(response, {
+      articles: new Schema.Array(articleSchema),
+    });
+
+    it('should only return the selected attributes', () => {
+      const select = { title: true, author: { name: true }, comments: { body: true } };
+      const denormalized = denormalize(1, data.entities, articleSchema, { select });
+
+      expect(denormalized).to.be.eql(fromJS({
+        title: 'Some Article',
+        author: { name: 'Dan' },
+        comments: [{ body: 'Nice!' }],
+      }));
+    });
+
+    it('should return the whole relation when selected with true', () => {
+      const select = { comments: true };
+      const denormalized = denormalize(1, data.entities, articleSchema, { select });
+
+      expect(denormalized).to.be.eql(fromJS({ comments: response.articles[0].comments }));
+    });
+  });
+
+  describe('handling missing entities', () => {
+    const articleSchema = new Schema.Entity('articles');
+    const userSchema = new Schema.Entity('users');
+    const tagSchema = new Schema.Entity('tags');
+
+    articleSchema.define({
+      author: userSchema,
+      tags: [tagSchema],
+    });
+
+    const entities = fromJS({
+      articles: {
+        1: { id: 1, title: 'Some Article', author: 1, tags: [1, 2] },
+      },
+      tags: {
+        2: { id: 2, name: 'news' },
+      },
+    });
+
+    [false, true].forEach((memoized) => {
+      const denormalizeArticle = options =>
+        createDenormalizer({ memoized }).denormalize(1, entities, articleSchema, options);
+
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        it('should keep the ids', () => {
+          expect(denormalizeArticle({ onMissing: 'id' })).to.be.eql(fromJS({
+            id: 1,
+            title: 'Some Article',
+            author: 1,
+            tags: [1, { id: 2, name: 'news' }],
+          }));
+        });
+
+        it('should omit the missing entities', () => {
+          expect(denormalizeArticle({ onMissing: 'omit' })).to.be.eql(fromJS({
+            id: 1,
+            title: 'Some Article',
+            tags: [{ id: 2, name: 'news' }],
+          }));
+        });
+
+        it('should throw', () => {
+          expect(() => denormalizeArticle({ onMissing: 'throw' })).to.throw(Error);
+        });
+      });
+    });
+  });
+
+  describe('transforming entities', () => {
+    const Article = new Record({ id: null, title: null, author: null });
+    const User = new Record({ id: null, name: null });
+
+    const articleSchema = new Schema.Entity('articles');
+    const userSchema = new Schema.Entity('users');
+
+    articleSchema.define({
+      author: userSchema,
+    });
+
+    const entities = fromJS({
+      articles: {
+        1: { id: 1, title: 'Some Article', author: 1 },
+      },
+      users: {
+        1: { id: 1, name: 'Dan' },
+      },
+    });
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        it('should instantiate Records', () => {
+          const denormalized = createDenormalizer({
+            memoized,
+            models: { articles: Article, users: User },
+          }).denormalize(1, entities, articleSchema);
+
+          expect(denormalized).to.be.an.instanceof(Article);
+          expect(denormalized.author).to.be.an.instanceof(User);
+          expect(denormalized.author.name).to.equal('Dan');
+        });
+      });
+    });
+
+    it('should keep the same Records when memoized', () => {
+      const denormalizer = createDenormalizer({
+        memoized: true,
+        models: { articles: Article, users: User },
+      });
+      const denormalized = denormalizer.denormalize(1, entities, articleSchema);
+
+      expect(denormalizer.denormalize(1, entities, articleSchema) === denormalized).to.be.true;
+    });
+  });
+
+  describe('resolving inverse relations', () => {
+    const articleSchema = new Schema.Entity('articles');
+    const userSchema = new Schema.Entity('users');
+
+    articleSchema.define({
+      author: userSchema,
+    });
+
+    const inverses = {
+      users: {
+        articles: { schema: articleSchema, attribute: 'author' },
+      },
+    };
+
+    const entities = fromJS({
+      articles: {
+        1: { id: 1, title: 'Some Article', author: 1 },
+        2: { id: 2, title: 'Other Article', author: 2 },
+      },
+      users: {
+        1: { id: 1, name: 'Dan' },
+        2: { id: 2, name: 'Alice' },
+      },
+    });
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        it('should add the entities referring to the entity', () => {
+          const denormalized = createDenormalizer({ memoized, inverses })
+            .denormalize(1, entities, userSchema);
+
+          expect(denormalized).to.be.eql(fromJS({
+            id: 1,
+            name: 'Dan',
+            articles: [{ id: 1, title: 'Some Article', author: { id: 1, name: 'Dan' } }],
+          }));
+        });
+      });
+    });
+  });
+
+  describe('resolving hasMany relations', () => {
+    const commentSchema = new Schema.Entity('comments');
+    const articleSchema = new Schema.Entity('articles', {
+      comments: hasMany(commentSchema, 'articleId', { orderBy: 'postedAt', order: 'desc' }),
+    });
+
+    const entities = fromJS({
+      articles: {
+        1: { id: 1, title: 'Some Article' },
+      },
+      comments: {
+        1: { id: 1, text: 'First', articleId: 1, postedAt: 1 },
+        2: { id: 2, text: 'Second', articleId: 1, postedAt: 2 },
+      },
+    });
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        it('should add the entities found by lookup, sorted', () => {
+          const denormalized = createDenormalizer({ memoized })
+            .denormalize(1, entities, articleSchema);
+
+          expect(denormalized).to.be.eql(fromJS({
+            id: 1,
+            title: 'Some Article',
+            comments: [
+              { id: 2, text: 'Second', articleId: 1, postedAt: 2 },
+              { id: 1, text: 'First', articleId: 1, postedAt: 1 },
+            ],
+          }));
+        });
+      });
+    });
+  });
+
+  describe('resolving through relations', () => {
+    const groupSchema = new Schema.Entity('groups');
+    const membershipSchema = new Schema.Entity('memberships', { groupId: groupSchema });
+    const userSchema = new Schema.Entity('users', {
+      groups: through(membershipSchema, 'userId', 'groupId', { attach: 'membership' }),
+    });
+
+    const entities = fromJS({
+      users: {
+        1: { id: 1, name: 'Dan' },
+      },
+      groups: {
+        1: { id: 1, name: 'Admins' },
+      },
+      memberships: {
+        1: { id: 1, userId: 1, groupId: 1, role: 'owner' },
+      },
+    });
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        it('should add the entities related through the join entities', () => {
+          const denormalized = createDenormalizer({ memoized })
+            .denormalize(1, entities, userSchema);
+
+          expect(denormalized).to.be.eql(fromJS({
+            id: 1,
+            name: 'Dan',
+            groups: [{
+              id: 1,
+              name: 'Admins',
+              membership: { id: 1, userId: 1, groupId: 1, role: 'owner' },
+            }],
+          }));
+        });
+      });
+    });
+  });
+
+  describe('querying the relations', () => {
+    const commentSchema = new Schema.Entity('comments');
+    const articleSchema = new Schema.Entity('articles', {
+      comments: [commentSchema],
+    });
+
+    const entities = fromJS({
+      articles: {
+        1: { id: 1, comments: [1, 2, 3] },
+      },
+      comments: {
+        1: { id: 1, date: 1 },
+        2: { id: 2, date: 3 },
+        3: { id: 3, date: 2 },
+      },
+    });
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        it('should sort and limit the relations', () => {
+          const denormalized = createDenormalizer({ memoized }).denormalize(
+            1,
+            entities,
+            articleSchema,
+            { relations: { articles: { comments: { orderBy: 'date', order: 'desc', limit: 2 } } } },
+          );
+
+          expect(denormalized).to.be.eql(fromJS({
+            id: 1,
+            comments: [{ id: 2, date: 3 }, { id: 3, date: 2 }],
+          }));
+        });
+      });
+    });
+  });
+
+  describe('aggregating the relations', () => {
+    const messageSchema = new Schema.Entity('messages');
+    const threadSchema = new Schema.Entity('threads', {
+      messages: [messageSchema],
+    });
+
+    const entities = fromJS({
+      threads: {
+        1: { id: 1, messages: [1, 2] },
+      },
+      messages: {
+        1: { id: 1, read: true },
+        2: { id: 2, read: false },
+      },
+    });
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        it('should aggregate the items', () => {
+          const denormalized = createDenormalizer({ memoized }).denormalize(
+            1,
+            entities,
+            threadSchema,
+            { relations: { threads: { messages: { aggregate: 'last' } } } },
+          );
+
+          expect(denormalized).to.be.eql(fromJS({ id: 1, messages: { id: 2, read: false } }));
+        });
+      });
+    });
+  });
+
+  describe('denormalizing whole tables', () => {
+    const articleSchema = new Schema.Entity('articles');
+    const userSchema = new Schema.Entity('users');
+
+    articleSchema.define({
+      author: userSchema,
+    });
+
+    const entities = fromJS({
+      articles: {
+        1: { id: 1, title: 'First', published: true, date: 2, author: 1 },
+        2: { id: 2, title: 'Second', published: false, date: 1, author: 1 },
+        3: { id: 3, title: 'Third', published: true, date: 1, author: 1 },
+      },
+      users: {
+        1: { id: 1, name: 'Dan' },
+      },
+    });
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        it('should select, sort and denormalize the entities', () => {
+          const denormalized = createDenormalizer({ memoized }).denormalizeAll(
+            entities,
+            articleSchema,
+            { where: article => article.get('published'), orderBy: 'date', limit: 2 },
+          );
+
+          expect(denormalized).to.be.eql(fromJS([
+            { id: 3, title: 'Third', published: true, date: 1, author: { id: 1, name: 'Dan' } },
+            { id: 1, title: 'First', published: true, date: 2, author: { id: 1, name: 'Dan' } },
+          ]));
+        });
+      });
+    });
+
+    it('should return an empty List when the table is missing', () => {
+      expect(denormalizeAll(fromJS({}), articleSchema)).to.be.eql(fromJS([]));
+    });
   });
 
   describe('parsing union schemas', () => {
@@ -505,4 +982,149 @@ describe('(Immutable) denormalize', () => {
       expect(denormalized).to.be.eql(expectedArticles);
     });
   });
+
+  describe('memoizing', () => {
+    const articleSchema = new Schema.Entity('articles');
+    const userSchema = new Schema.Entity('users');
+    const collectionSchema = new Schema.Entity('collections');
+
+    articleSchema.define({
+      author: userSchema,
+      collections: new Schema.Array(collectionSchema),
+      contributors: new Schema.Values(userSchema),
+    });
+
+    const article1 = {
+      id: 1,
+      title: 'Some Article',
+      author: {
+        id: 1,
+        name: 'Dan',
+      },
+      collections: [{
+        id: 1,
+        name: 'Dan',
+      }, {
+        id: 2,
+        name: 'Giampaolo',
+      }],
+      contributors: {
+        editor: {
+          id: 2,
+          name: 'Alice',
+        },
+      },
+    };
+
+    const data = immutableNormalize({ articles: [article1] }, {
+      articles: new Schema.Array(articleSchema),
+    });
+
+    it('should return the original entity', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(1, data.entities, articleSchema);
+
+      expect(denormalized).to.be.eql(fromJS(article1));
+    });
+
+    it('should return the same references when nothing changed', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(1, data.entities, articleSchema);
+
+      expect(denormalizer.denormalize(1, data.entities, articleSchema) === denormalized)
+        .to.be.true;
+    });
+
+    it('should only replace the relations that changed', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(1, data.entities, articleSchema);
+
+      const entities = data.entities.setIn(['collections', '2', 'name'], 'Paolo');
+      const updated = denormalizer.denormalize(1, entities, articleSchema);
+
+      expect(updated.getIn(['collections', 1, 'name'])).to.equal('Paolo');
+      expect(updated === denormalized).to.be.false;
+      expect(updated.getIn(['collections', 0]) === denormalized.getIn(['collections', 0]))
+        .to.be.true;
+      expect(updated.get('author') === denormalized.get('author')).to.be.true;
+      expect(updated.get('contributors') === denormalized.get('contributors')).to.be.true;
+    });
+
+    it('should memoize lists of ids', () => {
+      const articleListSchema = [articleSchema];
+      const denormalizer = createDenormalizer({ memoized: true });
+      const ids = fromJS([1]);
+      const denormalized = denormalizer.denormalize(ids, data.entities, articleListSchema);
+
+      expect(denormalized).to.be.eql(fromJS([article1]));
+      expect(denormalizer.denormalize(ids, data.entities, articleListSchema) === denormalized)
+        .to.be.true;
+    });
+
+    it('should denormalize union schemas', () => {
+      const postSchema = new Schema.Entity('posts');
+      const unionItemSchema = new Schema.Union({
+        post: postSchema,
+        user: userSchema,
+      }, 'type');
+      const unionItems = [
+        { id: 1, title: 'Some Post', type: 'post' },
+        { id: 2, name: 'Ashley', type: 'user' },
+      ];
+      const unionData = immutableNormalize(unionItems, new Schema.Array(unionItemSchema));
+
+      const unionListSchema = [unionItemSchema];
+      const denormalizer = createDenormalizer({ memoized: true });
+      const items = fromJS(unionData.result);
+      const denormalized = denormalizer.denormalize(items, unionData.entities, unionListSchema);
+
+      expect(denormalized).to.be.eql(fromJS(unionItems));
+      expect(denormalizer.denormalize(items, unionData.entities, unionListSchema) === denormalized)
+        .to.be.true;
+    });
+
+    it('should keep records', () => {
+      const Article = new Record({ id: null, title: null, author: null });
+      const User = new Record({ id: null, name: null });
+      const entities = new Map({
+        articles: new Map({ 1: new Article({ id: 1, title: 'Some Article', author: 1 }) }),
+        users: new Map({ 1: new User({ id: 1, name: 'Dan' }) }),
+      });
+
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(1, entities, articleSchema);
+
+      expect(denormalized).to.be.an.instanceof(Article);
+      expect(denormalized.author).to.be.an.instanceof(User);
+      expect(denormalized.author.name).to.equal('Dan');
+      expect(denormalizer.denormalize(1, entities, articleSchema) === denormalized).to.be.true;
+    });
+  });
+
+  describe('using the Immutable utilities', () => {
+    it('should read and write Immutable collections', () => {
+      const entities = fromJS({ users: { 1: { id: 1, name: 'Dan' } } });
+      const keyPath = ['users', 1, 'name'];
+
+      expect(isImmutable(entities)).to.be.true;
+      expect(getIn(entities, keyPath)).to.equal('Dan');
+      expect(getIn(setIn(entities, keyPath, 'Alice'), keyPath)).to.equal('Alice');
+      expect(getIn(deleteIn(entities, keyPath), keyPath)).to.be.undefined;
+      expect(pick(entities, ['users'])).to.equal(entities);
+      expect(getIn(entities, keyPath)).to.equal('Dan');
+      expect(keyPath).to.be.eql(['users', 1, 'name']);
+    });
+
+    it('should read and write plain objects', () => {
+      const entities = { users: { 1: { id: 1, name: 'Dan' } } };
+      const keyPath = ['users', 1, 'name'];
+
+      expect(isImmutable(entities)).to.be.false;
+      expect(getIn(entities, keyPath)).to.equal('Dan');
+      expect(getIn(setIn(entities, keyPath, 'Alice'), keyPath)).to.equal('Alice');
+      expect(getIn(deleteIn(entities, keyPath), keyPath)).to.be.undefined;
+      expect(pick(entities.users[1], ['id'])).to.be.eql({ id: 1 });
+      expect(keyPath).to.be.eql(['users', 1, 'name']);
+    });
+  });
 });
@@ -3,8 +3,24 @@
 import { expect } from 'chai';
 import { normalize, schema } from 'normalizr';
 import cloneDeep from 'lodash/cloneDeep';
-
-import { denormalize } from '../src';
+import assign from 'lodash/assign';
+import { createStore } from 'redux';
+
+import {
+  denormalize,
+  denormalizeAll,
+  denormalizeWithDependencies,
+  createDenormalizer,
+  createDenormalizeSelector,
+  watch,
+  cache,
+  clear,
+  prune,
+  inspectSchema,
+  relink,
+  hasMany,
+  through,
+} from '../src';
 
 describe('denormalize', () => {
   it('should return undefined when denormalizing an undefined entity', () => {
@@ -145,354 +161,2471 @@ describe('denormalize', () => {
 
       expect(denormalized.author.articles[0]).to.be.eql(denormalized);
     });
-  });
 
-  describe('parsing union schemas', () => {
-    describe('when a schema', () => {
-      const postSchema = new schema.Entity('posts');
-      const userSchema = new schema.Entity('users');
+    describe('when memoized', () => {
+      it('should handle recursion for interdependency', () => {
+        const denormalizer = createDenormalizer({ memoized: true });
+        const denormalized = denormalizer.denormalize(80, data.entities, articleSchema);
 
-      postSchema.define({
-        user: userSchema,
+        expect(denormalized.author.articles[0]).to.equal(denormalized);
+        expect(denormalized.title).to.equal('Some Article');
       });
 
-      const unionItemSchema = new schema.Union({
-        post: postSchema,
-        user: userSchema,
-      }, 'type');
-
-      const response = {
-        unionItems: [
-          {
-            id: 1,
-            title: 'Some Post',
-            user: {
-              id: 1,
-              name: 'Dan',
-            },
-            type: 'post',
-          },
-          {
-            id: 2,
-            name: 'Ashley',
-            type: 'user',
-          },
-          {
-            id: 2,
-            title: 'Other Post',
-            type: 'post',
-          },
-        ],
-      };
-
-      const data = normalize(response.unionItems, new schema.Array(unionItemSchema));
+      it('should return the same references when nothing changed', () => {
+        const denormalizer = createDenormalizer({ memoized: true });
+        const denormalized = denormalizer.denormalize(80, data.entities, articleSchema);
 
-      it('should return the original response', () => {
-        const denormalized = data.result.map(item =>
-          denormalize(item, data.entities, unionItemSchema),
-        );
-        expect(denormalized).to.be.deep.eql(response.unionItems);
+        expect(denormalizer.denormalize(80, data.entities, articleSchema)).to.equal(denormalized);
+        expect(denormalizer.denormalize(1, data.entities, userSchema))
+          .to.equal(denormalized.author);
       });
-    });
 
-    describe('when defining a relationship', () => {
-      const groupSchema = new schema.Entity('groups');
-      const userSchema = new schema.Entity('users');
+      it('should keep the cycle consistent when an entity changed', () => {
+        const denormalizer = createDenormalizer({ memoized: true });
+        const denormalized = denormalizer.denormalize(80, data.entities, articleSchema);
 
-      const member = new schema.Union({
-        user: userSchema,
-        group: groupSchema,
-      }, 'type');
+        const users = { 1: assign({}, data.entities.users['1'], { name: 'Daniel' }) };
+        const entities = assign({}, data.entities, { users });
+        const updated = denormalizer.denormalize(80, entities, articleSchema);
 
-      groupSchema.define({
-        owner: member,
+        expect(updated).to.not.equal(denormalized);
+        expect(updated.author.name).to.equal('Daniel');
+        expect(updated.author.articles[0]).to.equal(updated);
+        expect(denormalizer.denormalize(80, entities, articleSchema)).to.equal(updated);
       });
 
-      const response = {
-        groups: [
-          {
-            id: 1,
-            owner: {
-              id: 1,
-              type: 'user',
-              name: 'Dan',
-            },
-          },
-          {
-            id: 2,
-            owner: {
-              id: 2,
-              type: 'user',
-              name: 'Alice',
-            },
-          },
-          {
-            id: 3,
-            owner: {
-              id: 1,
-              type: 'group',
-              name: 'Teaching',
-            },
-          },
-        ],
-      };
-
-      const data = normalize(response.groups, new schema.Array(groupSchema));
+      it('should match the result of the non-memoized denormalization', () => {
+        const denormalizer = createDenormalizer({ memoized: true });
 
-      // TODO: This test does not make too much sense.
-      // It wont return the original response because
-      // the group:3 has an owner:group:1
-      // so the data of the owner:group:1 will me merged to original group:1
-      // making the final result be different from the original response.
-      // to make the test pass, im only verifying if group:2 was correctly denormalized
-      it('should return the original response', () => {
-        const denormalized = data.result.map(item =>
-          denormalize(item, data.entities, groupSchema),
-        );
-        expect(denormalized[1]).to.be.deep.eql(response.groups[1]);
+        expect(denormalizer.denormalize(1, data.entities, userSchema))
+          .to.be.eql(denormalize(1, data.entities, userSchema));
       });
     });
   });
 
-  describe('parsing nested plain objects', () => {
-    const articleSchema = new schema.Entity('article');
-    const userSchema = new schema.Entity('user');
+  describe('limiting the depth', () => {
+    const articleSchema = new schema.Entity('articles');
+    const userSchema = new schema.Entity('users');
+    const commentSchema = new schema.Entity('comments');
 
     articleSchema.define({
-      likes: new schema.Array({
-        user: userSchema,
-      }),
+      author: userSchema,
+      comments: new schema.Array(commentSchema),
+    });
+
+    userSchema.define({
+      articles: new schema.Array(articleSchema),
+    });
+
+    commentSchema.define({
+      author: userSchema,
     });
 
     const response = {
       articles: [{
         id: 1,
-        title: 'Article 1',
-        likes: [{
-          user: {
-            id: 1,
-            name: 'John',
-          },
-        }, {
-          user: {
+        title: 'Some Article',
+        author: {
+          id: 1,
+          name: 'Dan',
+          articles: [1],
+        },
+        comments: [{
+          id: 1,
+          body: 'Nice!',
+          author: {
             id: 2,
-            name: 'Alex',
-          },
-        }],
-      }, {
-        id: 2,
-        title: 'Article 2',
-        likes: [{
-          user: {
-            id: 1,
-            name: 'John',
+            name: 'Alice',
           },
         }],
       }],
     };
 
-    const data = normalize(response.articles, new schema.Array(articleSchema));
+    const data = normalize(response, {
+      articles: new schema.Array(articleSchema),
+    });
 
-    it('should denormalize nested non entity objects', () => {
-      const denormalized = data.result.map(id =>
-        denormalize(data.entities.article[id], data.entities, articleSchema),
-      );
-      expect(denormalized).to.be.deep.eql(response.articles);
+    it('should leave the relations of the root entity as ids', () => {
+      const denormalized = denormalize(1, data.entities, articleSchema, { maxDepth: 0 });
+
+      expect(denormalized).to.be.eql(data.entities.articles['1']);
+    });
+
+    it('should expand relations up to the given depth', () => {
+      const denormalized = denormalize(1, data.entities, articleSchema, { maxDepth: 1 });
+
+      expect(denormalized).to.be.eql({
+        id: 1,
+        title: 'Some Article',
+        author: { id: 1, name: 'Dan', articles: [1] },
+        comments: [{ id: 1, body: 'Nice!', author: 2 }],
+      });
+    });
+
+    it('should not share references between different depths', () => {
+      const denormalized = denormalize(1, data.entities, articleSchema, { maxDepth: 2 });
+
+      expect(denormalized.author.articles[0]).to.not.equal(denormalized);
+      expect(denormalized.author.articles[0].author).to.be.eql(1);
+      expect(denormalized.comments[0].author).to.be.eql({ id: 2, name: 'Alice' });
+    });
+
+    it('should apply the depth to each item of an array', () => {
+      const denormalized = denormalize([1], data.entities, [articleSchema], { maxDepth: 0 });
+
+      expect(denormalized).to.be.eql([data.entities.articles['1']]);
+    });
+
+    it('should limit the depth when memoized', () => {
+      const options = { maxDepth: 1, memoized: true };
+      const denormalized = denormalize(1, data.entities, articleSchema, options);
+
+      expect(denormalized).to.be.eql({
+        id: 1,
+        title: 'Some Article',
+        author: { id: 1, name: 'Dan', articles: [1] },
+        comments: [{ id: 1, body: 'Nice!', author: 2 }],
+      });
+      expect(denormalize(1, data.entities, articleSchema, options)).to.equal(denormalized);
+      expect(denormalize(1, data.entities, articleSchema, { maxDepth: 0, memoized: true }))
+        .to.be.eql(data.entities.articles['1']);
     });
   });
 
-  describe('parsing nested objects', () => {
-    const articleSchema = new schema.Entity('article');
-    const userSchema = new schema.Entity('user');
+  describe('selecting attributes', () => {
+    const articleSchema = new schema.Entity('articles');
+    const userSchema = new schema.Entity('users');
+    const commentSchema = new schema.Entity('comments');
 
     articleSchema.define({
-      likes: {
-        usersWhoLikes: new schema.Array(userSchema),
-      },
+      author: userSchema,
+      comments: new schema.Array(commentSchema),
+    });
+
+    commentSchema.define({
+      author: userSchema,
     });
 
     const response = {
       articles: [{
         id: 1,
-        title: 'Article 1',
-        likes: {
-          usersWhoLikes: [
-            {
-              id: 1,
-              name: 'John',
-            },
-            {
-              id: 2,
-              name: 'Alex',
-            },
-          ],
-        },
-      }, {
-        id: 2,
-        title: 'Article 2',
-        likes: {
-          usersWhoLikes: [
-            {
-              id: 1,
-              name: 'John',
-            },
-          ],
+        title: 'Some Article',
+        body: 'Lorem ipsum',
+        author: {
+          id: 1,
+          name: 'Dan',
+          email: 'dan@example.com',
         },
+        comments: [{
+          id: 1,
+          body: 'Nice!',
+          author: {
+            id: 2,
+            name: 'Alice',
+          },
+        }],
       }],
     };
 
-    const data = normalize(response.articles, new schema.Array(articleSchema));
+    const data = normalize(response, {
+      articles: new schema.Array(articleSchema),
+    });
 
-    it('should denormalize nested non entity objects recursively', () => {
-      const denormalized = data.result.map(id =>
-        denormalize(data.entities.article[id], data.entities, articleSchema),
-      );
-      expect(denormalized).to.be.deep.eql(response.articles);
+    it('should only return the selected attributes', () => {
+      const select = { title: true, author: { name: true }, comments: { body: true } };
+      const denormalized = denormalize(1, data.entities, articleSchema, { select });
+
+      expect(denormalized).to.be.eql({
+        title: 'Some Article',
+        author: { name: 'Dan' },
+        comments: [{ body: 'Nice!' }],
+      });
+    });
+
+    it('should return the whole relation when selected with true', () => {
+      const select = { comments: true };
+      const denormalized = denormalize(1, data.entities, articleSchema, { select });
+
+      expect(denormalized).to.be.eql({ comments: response.articles[0].comments });
+    });
+
+    it('should ignore attributes selected with false', () => {
+      const select = { id: true, title: false, author: false };
+      const denormalized = denormalize(1, data.entities, articleSchema, { select });
+
+      expect(denormalized).to.be.eql({ id: 1 });
+    });
+
+    it('should select the attributes of each item of an array', () => {
+      const select = { id: true, author: { id: true } };
+      const denormalized = denormalize([1], data.entities, [articleSchema], { select });
+
+      expect(denormalized).to.be.eql([{ id: 1, author: { id: 1 } }]);
+    });
+
+    it('should resolve the same entity with different selections', () => {
+      const select = { author: { name: true }, comments: { author: { id: true } } };
+      const denormalized = denormalize(1, data.entities, articleSchema, { select });
+
+      expect(denormalized).to.be.eql({
+        author: { name: 'Dan' },
+        comments: [{ author: { id: 2 } }],
+      });
+    });
+
+    it('does not mutate the entities', () => {
+      const normalizedEntities = cloneDeep(data.entities);
+
+      denormalize(1, data.entities, articleSchema, { select: { author: { name: true } } });
+      expect(normalizedEntities).to.be.eql(data.entities);
+    });
+
+    it('should select the attributes when memoized', () => {
+      const select = { title: true, author: { name: true }, comments: { body: true } };
+      const denormalizer = createDenormalizer({ memoized: true, select });
+      const denormalized = denormalizer.denormalize(1, data.entities, articleSchema);
+
+      expect(denormalized).to.be.eql({
+        title: 'Some Article',
+        author: { name: 'Dan' },
+        comments: [{ body: 'Nice!' }],
+      });
+      expect(denormalizer.denormalize(1, data.entities, articleSchema)).to.equal(denormalized);
+    });
+
+    it('should share the results of equal selection sets when memoized', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalizeTitle = () => denormalizer.denormalize(1, data.entities, articleSchema, {
+        select: { title: true, author: { name: true }, body: false },
+      });
+      const denormalized = denormalizeTitle();
+
+      for (let i = 0; i < 10; i += 1) {
+        expect(denormalizeTitle()).to.equal(denormalized);
+      }
+      expect(denormalizer.denormalize(1, data.entities, articleSchema, {
+        select: { author: { name: true }, title: true },
+      })).to.equal(denormalized);
+    });
+
+    it('should keep the selections apart when memoized', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const titleOptions = { select: { title: true, author: { name: true } } };
+      const idOptions = { select: { id: true, author: { id: true } } };
+      const titled = denormalizer.denormalize(1, data.entities, articleSchema, titleOptions);
+      const identified = denormalizer.denormalize(1, data.entities, articleSchema, idOptions);
+
+      expect(titled).to.be.eql({ title: 'Some Article', author: { name: 'Dan' } });
+      expect(identified).to.be.eql({ id: 1, author: { id: 1 } });
+      expect(denormalizer.denormalize(1, data.entities, articleSchema, titleOptions))
+        .to.equal(titled);
+      expect(denormalizer.denormalize(1, data.entities, articleSchema, idOptions))
+        .to.equal(identified);
     });
   });
 
-  describe('parsing an array of entities and collections', () => {
+  describe('handling missing entities', () => {
     const articleSchema = new schema.Entity('articles');
     const userSchema = new schema.Entity('users');
-    const collectionSchema = new schema.Entity('collections');
+    const tagSchema = new schema.Entity('tags');
 
     articleSchema.define({
       author: userSchema,
-      collections: new schema.Array(collectionSchema),
+      tags: [tagSchema],
     });
 
-    collectionSchema.define({
-      curator: userSchema,
-    });
+    const entities = {
+      articles: {
+        1: { id: 1, title: 'Some Article', author: 1, tags: [1, 2] },
+      },
+      users: {},
+      tags: {
+        2: { id: 2, name: 'news' },
+      },
+    };
 
-    const article1 = {
+    [false, true].forEach((memoized) => {
+      const denormalizeArticle = (options, articleEntities = entities) =>
+        createDenormalizer({ memoized }).denormalize(1, articleEntities, articleSchema, options);
+
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        it('should keep the ids', () => {
+          expect(denormalizeArticle({ onMissing: 'id' })).to.be.eql({
+            id: 1,
+            title: 'Some Article',
+            author: 1,
+            tags: [1, { id: 2, name: 'news' }],
+          });
+        });
+
+        it('should return null', () => {
+          expect(denormalizeArticle({ onMissing: 'null' })).to.be.eql({
+            id: 1,
+            title: 'Some Article',
+            author: null,
+            tags: [null, { id: 2, name: 'news' }],
+          });
+        });
+
+        it('should omit the missing entities', () => {
+          expect(denormalizeArticle({ onMissing: 'omit' })).to.be.eql({
+            id: 1,
+            title: 'Some Article',
+            tags: [{ id: 2, name: 'news' }],
+          });
+        });
+
+        it('should throw', () => {
+          expect(() => denormalizeArticle({ onMissing: 'throw' }))
+            .to.throw('Entity "users" with id "1" is missing.');
+        });
+
+        it('should return the placeholders of the callback', () => {
+          const onMissing = (id, entitySchema) => ({ id, missing: entitySchema.key });
+
+          expect(denormalizeArticle({ onMissing })).to.be.eql({
+            id: 1,
+            title: 'Some Article',
+            author: { id: 1, missing: 'users' },
+            tags: [{ id: 1, missing: 'tags' }, { id: 2, name: 'news' }],
+          });
+        });
+
+        it('should handle a missing entity key', () => {
+          const articleEntities = { articles: entities.articles, tags: entities.tags };
+
+          expect(denormalizeArticle({ onMissing: 'id' }, articleEntities).author).to.equal(1);
+        });
+
+        it('should return undefined for a missing root entity', () => {
+          const denormalizer = createDenormalizer({ memoized, onMissing: 'omit' });
+
+          expect(denormalizer.denormalize(2, entities, articleSchema)).to.be.undefined;
+        });
+      });
+    });
+
+    it('should keep the same placeholders while the entities are missing', () => {
+      const onMissing = id => ({ id });
+      const denormalizer = createDenormalizer({ memoized: true, onMissing });
+      const denormalized = denormalizer.denormalize(1, entities, articleSchema);
+
+      const articles = { 1: assign({}, entities.articles['1'], { title: 'Other Title' }) };
+      const updatedEntities = assign({}, entities, { articles });
+      const updated = denormalizer.denormalize(1, updatedEntities, articleSchema);
+
+      expect(updated.title).to.equal('Other Title');
+      expect(updated.author).to.equal(denormalized.author);
+      expect(updated.tags[0]).to.equal(denormalized.tags[0]);
+    });
+
+    it('should follow the option of each call when memoized', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalizeArticle = onMissing =>
+        denormalizer.denormalize(1, entities, articleSchema, { onMissing });
+      const calls = [];
+      const onMissing = (id, entitySchema) => {
+        calls.push(id);
+        return { id, missing: entitySchema.key };
+      };
+
+      expect(denormalizeArticle('omit')).to.not.have.property('author');
+      expect(denormalizeArticle('null').author).to.be.null;
+      expect(() => denormalizeArticle('throw')).to.throw('Entity "users" with id "1" is missing.');
+      expect(denormalizeArticle('id').author).to.equal(1);
+      expect(denormalizeArticle(onMissing).author).to.be.eql({ id: 1, missing: 'users' });
+      expect(calls).to.be.eql([1, 1]);
+      expect(denormalizeArticle('omit')).to.be.eql({
+        id: 1,
+        title: 'Some Article',
+        tags: [{ id: 2, name: 'news' }],
+      });
+    });
+
+    it('should resolve the entities once they exist', () => {
+      const denormalizer = createDenormalizer({ memoized: true, onMissing: 'omit' });
+      denormalizer.denormalize(1, entities, articleSchema);
+
+      const users = { 1: { id: 1, name: 'Dan' } };
+      const updated = denormalizer.denormalize(1, assign({}, entities, { users }), articleSchema);
+
+      expect(updated.author).to.be.eql({ id: 1, name: 'Dan' });
+    });
+  });
+
+  describe('choosing how to output cycles', () => {
+    const articleSchema = new schema.Entity('articles');
+    const userSchema = new schema.Entity('users');
+
+    articleSchema.define({
+      author: userSchema,
+      reviewer: userSchema,
+    });
+
+    userSchema.define({
+      articles: new schema.Array(articleSchema),
+    });
+
+    const entities = {
+      articles: {
+        1: { id: 1, title: 'Some Article', author: 1, reviewer: 2 },
+      },
+      users: {
+        1: { id: 1, name: 'Dan', articles: [1] },
+        2: { id: 2, name: 'Alice' },
+      },
+    };
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        const denormalizeArticle = options =>
+          createDenormalizer({ memoized }).denormalize(1, entities, articleSchema, options);
+
+        it('should keep the references by default', () => {
+          const denormalized = denormalizeArticle({ cycles: 'reference' });
+
+          expect(denormalized.author.articles[0]).to.equal(denormalized);
+        });
+
+        it('should replace the cycles with ids', () => {
+          const denormalized = denormalizeArticle({ cycles: 'id' });
+
+          expect(denormalized).to.be.eql({
+            id: 1,
+            title: 'Some Article',
+            author: { id: 1, name: 'Dan', articles: [1] },
+            reviewer: { id: 2, name: 'Alice' },
+          });
+        });
+
+        it('should replace the cycles with references', () => {
+          const denormalized = denormalizeArticle({ cycles: 'ref' });
+
+          expect(JSON.parse(JSON.stringify(denormalized))).to.be.eql({
+            id: 1,
+            title: 'Some Article',
+            author: { id: 1, name: 'Dan', articles: [{ $ref: 'articles/1' }] },
+            reviewer: { id: 2, name: 'Alice' },
+          });
+        });
+
+        it('should throw with an unknown option', () => {
+          expect(() => denormalizeArticle({ cycles: 'other' })).to.throw(Error);
+        });
+      });
+    });
+
+    it('should keep the same references when memoized', () => {
+      const denormalizer = createDenormalizer({ memoized: true, cycles: 'ref' });
+      const denormalized = denormalizer.denormalize(1, entities, articleSchema);
+
+      expect(denormalizer.denormalize(1, entities, articleSchema)).to.equal(denormalized);
+    });
+
+    describe('with several entities of a cycle', () => {
+      const articleListSchema = [articleSchema];
+      const cyclicEntities = {
+        articles: {
+          1: { id: 1, title: 'Some Article', author: 1 },
+          2: { id: 2, title: 'Other Article', author: 1 },
+        },
+        users: {
+          1: { id: 1, name: 'Dan', articles: [1, 2] },
+        },
+      };
+
+      ['id', 'ref'].forEach((cycles) => {
+        it(`should keep the same array when memoized with \`${cycles}\``, () => {
+          const denormalizer = createDenormalizer({ memoized: true, cycles });
+          const denormalized = denormalizer.denormalize([1, 2], cyclicEntities, articleListSchema);
+
+          expect(denormalizer.denormalize([1, 2], cyclicEntities, articleListSchema))
+            .to.equal(denormalized);
+        });
+
+        it(`should return the same as when not memoized with \`${cycles}\``, () => {
+          const expected = denormalize([1, 2], cyclicEntities, articleListSchema, { cycles });
+          const denormalized = createDenormalizer({ memoized: true, cycles })
+            .denormalize([1, 2], cyclicEntities, articleListSchema);
+
+          expect(JSON.stringify(denormalized)).to.equal(JSON.stringify(expected));
+        });
+      });
+    });
+
+    it('should relink the references', () => {
+      const denormalized = relink(
+        denormalize(1, entities, articleSchema, { cycles: 'ref' }),
+        articleSchema,
+      );
+
+      expect(denormalized.author.articles[0]).to.equal(denormalized);
+      expect(denormalized.reviewer).to.be.eql({ id: 2, name: 'Alice' });
+    });
+
+    it('should relink the references in arrays', () => {
+      const denormalized = relink(
+        denormalize([1], entities, [articleSchema], { cycles: 'ref' }),
+        [articleSchema],
+      );
+
+      expect(denormalized[0].author.articles[0]).to.equal(denormalized[0]);
+    });
+  });
+
+  describe('transforming entities', () => {
+    class User {
+      constructor(data) {
+        assign(this, data);
+      }
+    }
+
+    class Article {
+      constructor(data) {
+        assign(this, data);
+      }
+    }
+
+    const articleSchema = new schema.Entity('articles');
+    const userSchema = new schema.Entity('users');
+
+    articleSchema.define({
+      author: userSchema,
+    });
+
+    userSchema.define({
+      articles: new schema.Array(articleSchema),
+    });
+
+    const entities = {
+      articles: {
+        1: { id: 1, title: 'Some Article', author: 1 },
+        2: { id: 2, title: 'Other Article', author: 2 },
+      },
+      users: {
+        1: { id: 1, name: 'Dan', articles: [1] },
+        2: { id: 2, name: 'Alice' },
+      },
+    };
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        const options = { memoized, models: { users: User, articles: Article } };
+
+        it('should instantiate the models', () => {
+          const denormalized = denormalize(2, entities, articleSchema, options);
+
+          expect(denormalized).to.be.an.instanceof(Article);
+          expect(denormalized.author).to.be.an.instanceof(User);
+          expect(denormalized.author.name).to.equal('Alice');
+        });
+
+        it('should keep the cycles between the models', () => {
+          const denormalized = denormalize(1, entities, articleSchema, options);
+
+          expect(denormalized).to.be.an.instanceof(Article);
+          expect(denormalized.author).to.be.an.instanceof(User);
+          expect(denormalized.author.articles[0]).to.equal(denormalized);
+        });
+
+        it('should call the transforms once the relations are resolved', () => {
+          const calls = [];
+          const transform = {
+            users: (user, context) => {
+              calls.push(context);
+              return assign({}, user, { articleCount: user.articles.length });
+            },
+          };
+
+          const denormalized = createDenormalizer({ memoized, transform }).denormalize(
+            1,
+            entities,
+            userSchema,
+          );
+
+          expect(denormalized.articleCount).to.equal(1);
+          expect(denormalized.articles[0].author).to.equal(denormalized);
+          expect(calls).to.be.eql([{ key: 'users', id: 1, schema: userSchema }]);
+        });
+      });
+    });
+
+    it('should keep the same instances when memoized', () => {
+      const denormalizer = createDenormalizer({
+        memoized: true,
+        models: { users: User, articles: Article },
+      });
+      const denormalized = denormalizer.denormalize(1, entities, articleSchema);
+
+      expect(denormalizer.denormalize(1, entities, articleSchema)).to.equal(denormalized);
+
+      const newEntities = assign({}, entities, {
+        users: assign({}, entities.users, {
+          1: assign({}, entities.users[1], { name: 'Danny' }),
+        }),
+      });
+      const updated = denormalizer.denormalize(1, newEntities, articleSchema);
+
+      expect(updated).to.not.equal(denormalized);
+      expect(updated).to.be.an.instanceof(Article);
+      expect(updated.author.name).to.equal('Danny');
+      expect(updated.author.articles[0]).to.equal(updated);
+    });
+
+    it('should keep the same instances when several entities point back at the root', () => {
+      const cyclicEntities = {
+        articles: {
+          1: { id: 1, title: 'Some Article', author: 1 },
+          2: { id: 2, title: 'Other Article', author: 1 },
+        },
+        users: {
+          1: { id: 1, name: 'Dan', articles: [1, 2] },
+        },
+      };
+      const denormalizer = createDenormalizer({
+        memoized: true,
+        models: { users: User, articles: Article },
+      });
+      const denormalized = denormalizer.denormalize(1, cyclicEntities, articleSchema);
+      const again = denormalizer.denormalize(1, cyclicEntities, articleSchema);
+
+      expect(again).to.equal(denormalized);
+      expect(denormalizer.denormalize(1, cyclicEntities, articleSchema)).to.equal(denormalized);
+      expect(denormalized.author.articles[0]).to.equal(denormalized);
+      expect(denormalized.author.articles[1].author).to.equal(denormalized.author);
+
+      const newEntities = assign({}, cyclicEntities, {
+        users: { 1: assign({}, cyclicEntities.users[1], { name: 'Danny' }) },
+      });
+      const updated = denormalizer.denormalize(1, newEntities, articleSchema);
+
+      expect(updated.author.name).to.equal('Danny');
+      expect(updated.author.articles[0]).to.equal(updated);
+      expect(updated.author.articles[1].author).to.equal(updated.author);
+      expect(denormalizer.denormalize(1, newEntities, articleSchema)).to.equal(updated);
+    });
+  });
+
+  describe('reversing the process strategies', () => {
+    const userSchema = new schema.Entity('users', {}, {
+      idAttribute: user => `${user.provider}:${user.login}`,
+      processStrategy: user => ({ name: user.display_name }),
+    });
+
+    userSchema.unprocessStrategy = (user, { id }) => {
+      const [provider, login] = id.split(':');
+      return { provider, login, display_name: user.name };
+    };
+
+    const articleSchema = new schema.Entity('articles', { author: userSchema }, {
+      processStrategy: article => ({
+        id: article.id,
+        title: article.title,
+        author: article.user,
+        createdAt: article.created_at,
+      }),
+    });
+
+    articleSchema.unprocessStrategy = article => ({
+      id: article.id,
+      title: article.title,
+      user: article.author,
+      created_at: article.createdAt,
+    });
+
+    const response = [{
+      id: 1,
+      title: 'Some Article',
+      created_at: '2017-01-01',
+      user: { provider: 'github', login: 'dan', display_name: 'Dan' },
+    }, {
+      id: 2,
+      title: 'Other Article',
+      created_at: '2017-01-02',
+      user: { provider: 'twitter', login: 'alice', display_name: 'Alice' },
+    }];
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        it('should return the original response', () => {
+          const { result, entities } = normalize(response, [articleSchema]);
+          const denormalized = createDenormalizer({ memoized }).denormalize(
+            result,
+            entities,
+            [articleSchema],
+          );
+
+          expect(denormalized).to.be.eql(response);
+        });
+
+        it('should prefer the `unprocess` option', () => {
+          const { result, entities } = normalize(response, [articleSchema]);
+          const denormalized = createDenormalizer({ memoized }).denormalize(
+            result,
+            entities,
+            [articleSchema],
+            { unprocess: { users: user => user } },
+          );
+
+          expect(denormalized[0].user).to.be.eql({ name: 'Dan' });
+        });
+      });
+    });
+  });
+
+  describe('resolving inverse relations', () => {
+    const articleSchema = new schema.Entity('articles');
+    const userSchema = new schema.Entity('users');
+
+    articleSchema.define({
+      author: userSchema,
+    });
+
+    const inverses = {
+      users: {
+        articles: { schema: articleSchema, attribute: 'author' },
+      },
+    };
+
+    const entities = {
+      articles: {
+        1: { id: 1, title: 'Some Article', author: 1 },
+        2: { id: 2, title: 'Other Article', author: 2 },
+        3: { id: 3, title: 'Third Article', author: 1 },
+      },
+      users: {
+        1: { id: 1, name: 'Dan' },
+        2: { id: 2, name: 'Alice' },
+        3: { id: 3, name: 'John' },
+      },
+    };
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        const denormalizeUser = (id, options) =>
+          createDenormalizer({ memoized, inverses }).denormalize(id, entities, userSchema, options);
+
+        it('should add the entities referring to the entity', () => {
+          const denormalized = denormalizeUser(1);
+
+          expect(denormalized.name).to.equal('Dan');
+          expect(denormalized.articles.map(article => article.title)).to.be.eql([
+            'Some Article',
+            'Third Article',
+          ]);
+          expect(denormalized.articles[0].author).to.equal(denormalized);
+        });
+
+        it('should add an empty list when no entity refers to the entity', () => {
+          expect(denormalizeUser(3)).to.be.eql({ id: 3, name: 'John', articles: [] });
+        });
+
+        it('should not mutate the entities', () => {
+          denormalizeUser(1);
+
+          expect(entities.users[1]).to.be.eql({ id: 1, name: 'Dan' });
+        });
+      });
+    });
+
+    it('should only add the selected inverse relations', () => {
+      const denormalized = denormalize(1, entities, userSchema, {
+        inverses,
+        select: { name: true },
+      });
+
+      expect(denormalized).to.be.eql({ name: 'Dan' });
+    });
+
+    it('should find the new references when the entities change', () => {
+      const denormalizer = createDenormalizer({ memoized: true, inverses });
+      const denormalized = denormalizer.denormalize(2, entities, userSchema);
+
+      expect(denormalizer.denormalize(2, entities, userSchema)).to.equal(denormalized);
+
+      const newEntities = assign({}, entities, {
+        articles: assign({}, entities.articles, {
+          4: { id: 4, title: 'New Article', author: 2 },
+        }),
+      });
+      const updated = denormalizer.denormalize(2, newEntities, userSchema);
+
+      expect(updated).to.not.equal(denormalized);
+      expect(updated.articles.map(article => article.title)).to.be.eql([
+        'Other Article',
+        'New Article',
+      ]);
+      expect(updated.articles[1].author).to.equal(updated);
+    });
+  });
+
+  describe('resolving hasMany relations', () => {
+    const commentSchema = new schema.Entity('comments');
+    const articleSchema = new schema.Entity('articles', {
+      comments: hasMany(commentSchema, 'articleId', { orderBy: 'postedAt' }),
+    });
+
+    commentSchema.define({
+      article: articleSchema,
+    });
+
+    const entities = {
+      articles: {
+        1: { id: 1, title: 'Some Article' },
+        2: { id: 2, title: 'Other Article' },
+      },
+      comments: {
+        1: { id: 1, text: 'Second', articleId: 1, postedAt: 2 },
+        2: { id: 2, text: 'First', articleId: 1, postedAt: 1 },
+        3: { id: 3, text: 'Elsewhere', articleId: 2, postedAt: 3 },
+      },
+    };
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        const denormalizeArticle = id =>
+          createDenormalizer({ memoized }).denormalize(id, entities, articleSchema);
+
+        it('should add the entities found by lookup, sorted', () => {
+          expect(denormalizeArticle(1)).to.be.eql({
+            id: 1,
+            title: 'Some Article',
+            comments: [
+              { id: 2, text: 'First', articleId: 1, postedAt: 1 },
+              { id: 1, text: 'Second', articleId: 1, postedAt: 2 },
+            ],
+          });
+        });
+
+        it('should add an empty list when no entity is found', () => {
+          const denormalized = createDenormalizer({ memoized }).denormalize(
+            1,
+            { articles: entities.articles },
+            articleSchema,
+          );
+
+          expect(denormalized).to.be.eql({ id: 1, title: 'Some Article', comments: [] });
+        });
+      });
+    });
+
+    it('should sort in descending order', () => {
+      const descendingSchema = new schema.Entity('articles', {
+        comments: hasMany(commentSchema, 'articleId', { orderBy: 'postedAt', order: 'desc' }),
+      });
+
+      expect(
+        denormalize(1, entities, descendingSchema).comments.map(comment => comment.text),
+      ).to.be.eql(['Second', 'First']);
+    });
+
+    it('should normalize the related entities found in the data', () => {
+      const { result, entities: normalizedEntities } = normalize({
+        id: 1,
+        title: 'Some Article',
+        comments: [{ id: 1, text: 'Some comment', articleId: 1, postedAt: 1 }],
+      }, articleSchema);
+
+      expect(normalizedEntities.comments).to.be.eql({
+        1: { id: 1, text: 'Some comment', articleId: 1, postedAt: 1 },
+      });
+      expect(denormalize(result, normalizedEntities, articleSchema).comments).to.be.eql([
+        { id: 1, text: 'Some comment', articleId: 1, postedAt: 1 },
+      ]);
+    });
+
+    it('should relink the cycles through the relations', () => {
+      const withArticles = assign({}, entities, {
+        comments: {
+          1: { id: 1, text: 'Some comment', article: 1, articleId: 1 },
+        },
+      });
+      const denormalized = relink(
+        denormalize(1, withArticles, articleSchema, { cycles: 'ref' }),
+        articleSchema,
+      );
+
+      expect(denormalized.comments[0].article).to.equal(denormalized);
+    });
+  });
+
+  describe('resolving through relations', () => {
+    const groupSchema = new schema.Entity('groups');
+    const membershipSchema = new schema.Entity('memberships', { groupId: groupSchema });
+    const userSchema = new schema.Entity('users', {
+      groups: through(membershipSchema, 'userId', 'groupId'),
+    });
+
+    const entities = {
+      users: {
+        1: { id: 1, name: 'Dan' },
+        2: { id: 2, name: 'Alice' },
+      },
+      groups: {
+        1: { id: 1, name: 'Admins' },
+        2: { id: 2, name: 'Editors' },
+      },
+      memberships: {
+        1: { id: 1, userId: 1, groupId: 2, role: 'owner' },
+        2: { id: 2, userId: 2, groupId: 2, role: 'member' },
+        3: { id: 3, userId: 1, groupId: 1, role: 'member' },
+      },
+    };
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        it('should add the entities related through the join entities', () => {
+          const denormalized = createDenormalizer({ memoized })
+            .denormalize(1, entities, userSchema);
+
+          expect(denormalized).to.be.eql({
+            id: 1,
+            name: 'Dan',
+            groups: [
+              { id: 2, name: 'Editors' },
+              { id: 1, name: 'Admins' },
+            ],
+          });
+        });
+
+        it('should attach the join entities', () => {
+          const attachedSchema = new schema.Entity('users', {
+            groups: through(membershipSchema, 'userId', 'groupId', { attach: 'membership' }),
+          });
+          const denormalized = createDenormalizer({ memoized })
+            .denormalize(2, entities, attachedSchema);
+
+          expect(denormalized.groups).to.be.eql([{
+            id: 2,
+            name: 'Editors',
+            membership: { id: 2, userId: 2, groupId: 2, role: 'member' },
+          }]);
+        });
+      });
+    });
+
+    it('should keep the same references when memoized', () => {
+      const attachedSchema = new schema.Entity('users', {
+        groups: through(membershipSchema, 'userId', 'groupId', { attach: 'membership' }),
+      });
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(1, entities, attachedSchema);
+
+      expect(denormalizer.denormalize(1, entities, attachedSchema)).to.equal(denormalized);
+
+      const newEntities = assign({}, entities, {
+        memberships: assign({}, entities.memberships, {
+          3: assign({}, entities.memberships[3], { role: 'owner' }),
+        }),
+      });
+      const updated = denormalizer.denormalize(1, newEntities, attachedSchema);
+
+      expect(updated.groups[0]).to.equal(denormalized.groups[0]);
+      expect(updated.groups[1]).to.not.equal(denormalized.groups[1]);
+      expect(updated.groups[1].membership.role).to.equal('owner');
+    });
+
+    it('should use the schema given as option', () => {
+      const plainMembershipSchema = new schema.Entity('memberships');
+      const optionSchema = new schema.Entity('users', {
+        groups: through(plainMembershipSchema, 'userId', 'groupId', { schema: groupSchema }),
+      });
+
+      expect(denormalize(2, entities, optionSchema).groups).to.be.eql([
+        { id: 2, name: 'Editors' },
+      ]);
+    });
+
+    it('should throw without the schema of the related entities', () => {
+      const plainMembershipSchema = new schema.Entity('memberships');
+      const invalidSchema = new schema.Entity('users', {
+        groups: through(plainMembershipSchema, 'userId', 'groupId'),
+      });
+
+      expect(() => denormalize(1, entities, invalidSchema)).to.throw(Error);
+    });
+  });
+
+  describe('parsing union schemas', () => {
+    describe('when a schema', () => {
+      const postSchema = new schema.Entity('posts');
+      const userSchema = new schema.Entity('users');
+
+      postSchema.define({
+        user: userSchema,
+      });
+
+      const unionItemSchema = new schema.Union({
+        post: postSchema,
+        user: userSchema,
+      }, 'type');
+
+      const response = {
+        unionItems: [
+          {
+            id: 1,
+            title: 'Some Post',
+            user: {
+              id: 1,
+              name: 'Dan',
+            },
+            type: 'post',
+          },
+          {
+            id: 2,
+            name: 'Ashley',
+            type: 'user',
+          },
+          {
+            id: 2,
+            title: 'Other Post',
+            type: 'post',
+          },
+        ],
+      };
+
+      const data = normalize(response.unionItems, new schema.Array(unionItemSchema));
+
+      it('should return the original response', () => {
+        const denormalized = data.result.map(item =>
+          denormalize(item, data.entities, unionItemSchema),
+        );
+        expect(denormalized).to.be.deep.eql(response.unionItems);
+      });
+    });
+
+    describe('when defining a relationship', () => {
+      const groupSchema = new schema.Entity('groups');
+      const userSchema = new schema.Entity('users');
+
+      const member = new schema.Union({
+        user: userSchema,
+        group: groupSchema,
+      }, 'type');
+
+      groupSchema.define({
+        owner: member,
+      });
+
+      const response = {
+        groups: [
+          {
+            id: 1,
+            owner: {
+              id: 1,
+              type: 'user',
+              name: 'Dan',
+            },
+          },
+          {
+            id: 2,
+            owner: {
+              id: 2,
+              type: 'user',
+              name: 'Alice',
+            },
+          },
+          {
+            id: 3,
+            owner: {
+              id: 1,
+              type: 'group',
+              name: 'Teaching',
+            },
+          },
+        ],
+      };
+
+      const data = normalize(response.groups, new schema.Array(groupSchema));
+
+      // TODO: This test does not make too much sense.
+      // It wont return the original response because
+      // the group:3 has an owner:group:1
+      // so the data of the owner:group:1 will me merged to original group:1
+      // making the final result be different from the original response.
+      // to make the test pass, im only verifying if group:2 was correctly denormalized
+      it('should return the original response', () => {
+        const denormalized = data.result.map(item =>
+          denormalize(item, data.entities, groupSchema),
+        );
+        expect(denormalized[1]).to.be.deep.eql(response.groups[1]);
+      });
+    });
+  });
+
+  describe('memoizing union schemas', () => {
+    describe('when a schema', () => {
+      const postSchema = new schema.Entity('posts');
+      const userSchema = new schema.Entity('users');
+
+      postSchema.define({
+        user: userSchema,
+      });
+
+      const unionItemSchema = new schema.Union({
+        post: postSchema,
+        user: userSchema,
+      }, 'type');
+
+      const response = {
+        unionItems: [
+          {
+            id: 1,
+            title: 'Some Post',
+            user: {
+              id: 1,
+              name: 'Dan',
+            },
+            type: 'post',
+          },
+          {
+            id: 2,
+            name: 'Ashley',
+            type: 'user',
+          },
+          {
+            id: 2,
+            title: 'Other Post',
+            type: 'post',
+          },
+        ],
+      };
+
+      const data = normalize(response.unionItems, new schema.Array(unionItemSchema));
+
+      it('should return the original response', () => {
+        const denormalizer = createDenormalizer({ memoized: true });
+        const denormalized = data.result.map(item =>
+          denormalizer.denormalize(item, data.entities, unionItemSchema),
+        );
+        expect(denormalized).to.be.deep.eql(response.unionItems);
+      });
+
+      it('should return the same references when nothing changed', () => {
+        const denormalizer = createDenormalizer({ memoized: true });
+        const arraySchema = new schema.Array(unionItemSchema);
+        const denormalized = denormalizer.denormalize(data.result, data.entities, arraySchema);
+
+        const again = denormalizer.denormalize(data.result, data.entities, arraySchema);
+
+        again.forEach((item, i) => expect(item).to.equal(denormalized[i]));
+      });
+
+      it('should only replace the members that changed', () => {
+        const denormalizer = createDenormalizer({ memoized: true });
+        const arraySchema = new schema.Array(unionItemSchema);
+        const denormalized = denormalizer.denormalize(data.result, data.entities, arraySchema);
+
+        const entities = assign({}, data.entities, {
+          users: assign({}, data.entities.users, { 2: { id: 2, name: 'Alice', type: 'user' } }),
+        });
+        const updated = denormalizer.denormalize(data.result, entities, arraySchema);
+
+        expect(updated).to.not.equal(denormalized);
+        expect(updated[1].name).to.equal('Alice');
+        expect(updated[0]).to.equal(denormalized[0]);
+        expect(updated[2]).to.equal(denormalized[2]);
+      });
+
+      it('should denormalize unions in values', () => {
+        const denormalizer = createDenormalizer({ memoized: true });
+        const valuesSchema = new schema.Values(unionItemSchema);
+        const items = { first: data.result[0], second: data.result[1] };
+        const denormalized = denormalizer.denormalize(items, data.entities, valuesSchema);
+
+        expect(denormalized).to.be.deep.eql({
+          first: response.unionItems[0],
+          second: response.unionItems[1],
+        });
+        const again = denormalizer.denormalize(items, data.entities, valuesSchema);
+
+        expect(again.first).to.equal(denormalized.first);
+        expect(again.second).to.equal(denormalized.second);
+      });
+    });
+
+    describe('when defining a relationship', () => {
+      const groupSchema = new schema.Entity('groups');
+      const userSchema = new schema.Entity('users');
+
+      const member = new schema.Union({
+        user: userSchema,
+        group: groupSchema,
+      }, 'type');
+
+      groupSchema.define({
+        owner: member,
+        members: new schema.Array(member),
+      });
+
+      const response = {
+        groups: [
+          {
+            id: 1,
+            owner: {
+              id: 1,
+              type: 'user',
+              name: 'Dan',
+            },
+            members: [{
+              id: 2,
+              type: 'user',
+              name: 'Alice',
+            }, {
+              id: 2,
+              type: 'group',
+            }],
+          },
+          {
+            id: 2,
+            owner: {
+              id: 2,
+              type: 'user',
+              name: 'Alice',
+            },
+          },
+        ],
+      };
+
+      const data = normalize(response.groups, new schema.Array(groupSchema));
+
+      it('should return the original response', () => {
+        const denormalizer = createDenormalizer({ memoized: true });
+        const denormalized = denormalizer.denormalize(data.result, data.entities, [groupSchema]);
+
+        expect(denormalized[1].owner).to.be.deep.eql(response.groups[1].owner);
+        expect(denormalized[0].owner).to.be.deep.eql(response.groups[0].owner);
+        expect(denormalized[0].members[0]).to.be.deep.eql(response.groups[0].members[0]);
+        expect(denormalized[0].members[1]).to.equal(denormalized[1]);
+      });
+
+      it('should keep the references of the unchanged members', () => {
+        const denormalizer = createDenormalizer({ memoized: true });
+        const denormalized = denormalizer.denormalize(1, data.entities, groupSchema);
+
+        const entities = assign({}, data.entities, {
+          users: assign({}, data.entities.users, { 1: { id: 1, type: 'user', name: 'Daniel' } }),
+        });
+        const updated = denormalizer.denormalize(1, entities, groupSchema);
+
+        expect(updated).to.not.equal(denormalized);
+        expect(updated.owner.name).to.equal('Daniel');
+        expect(updated.members).to.equal(denormalized.members);
+      });
+    });
+  });
+
+  describe('parsing nested plain objects', () => {
+    const articleSchema = new schema.Entity('article');
+    const userSchema = new schema.Entity('user');
+
+    articleSchema.define({
+      likes: new schema.Array({
+        user: userSchema,
+      }),
+    });
+
+    const response = {
+      articles: [{
+        id: 1,
+        title: 'Article 1',
+        likes: [{
+          user: {
+            id: 1,
+            name: 'John',
+          },
+        }, {
+          user: {
+            id: 2,
+            name: 'Alex',
+          },
+        }],
+      }, {
+        id: 2,
+        title: 'Article 2',
+        likes: [{
+          user: {
+            id: 1,
+            name: 'John',
+          },
+        }],
+      }],
+    };
+
+    const data = normalize(response.articles, new schema.Array(articleSchema));
+
+    it('should denormalize nested non entity objects', () => {
+      const denormalized = data.result.map(id =>
+        denormalize(data.entities.article[id], data.entities, articleSchema),
+      );
+      expect(denormalized).to.be.deep.eql(response.articles);
+    });
+  });
+
+  describe('memoizing nested plain objects', () => {
+    const articleSchema = new schema.Entity('articles');
+    const userSchema = new schema.Entity('users');
+
+    articleSchema.define({
+      author: userSchema,
+      stats: new schema.Object({
+        topCommenter: userSchema,
+      }),
+    });
+
+    const responseSchema = {
+      articles: [articleSchema],
+      meta: {
+        featured: articleSchema,
+      },
+    };
+
+    const response = {
+      articles: [{
+        id: 1,
+        title: 'Some Article',
+        author: {
+          id: 1,
+          name: 'Dan',
+        },
+        stats: {
+          views: 10,
+          topCommenter: {
+            id: 2,
+            name: 'Alice',
+          },
+        },
+      }, {
+        id: 2,
+        title: 'Other Article',
+        author: {
+          id: 2,
+          name: 'Alice',
+        },
+      }],
+      meta: {
+        page: 1,
+        featured: {
+          id: 2,
+          title: 'Other Article',
+          author: {
+            id: 2,
+            name: 'Alice',
+          },
+        },
+      },
+    };
+
+    const data = normalize(response, responseSchema);
+
+    it('should return the original response', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(data.result, data.entities, responseSchema);
+
+      expect(denormalized).to.be.deep.eql(response);
+    });
+
+    it('should return the same reference when nothing changed', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(data.result, data.entities, responseSchema);
+
+      expect(denormalizer.denormalize(data.result, data.entities, responseSchema))
+        .to.equal(denormalized);
+    });
+
+    it('should only replace the nested objects that changed', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(data.result, data.entities, responseSchema);
+
+      const entities = assign({}, data.entities, {
+        users: assign({}, data.entities.users, { 1: { id: 1, name: 'Daniel' } }),
+      });
+      const updated = denormalizer.denormalize(data.result, entities, responseSchema);
+
+      expect(updated).to.not.equal(denormalized);
+      expect(updated.articles[0].author.name).to.equal('Daniel');
+      expect(updated.articles[0].stats).to.equal(denormalized.articles[0].stats);
+      expect(updated.articles[1]).to.equal(denormalized.articles[1]);
+      expect(updated.meta).to.equal(denormalized.meta);
+    });
+
+    it('should not return the previous object when an attribute changed', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(data.result, data.entities, responseSchema);
+
+      const result = assign({}, data.result, { meta: { page: 2, featured: 2 } });
+      const updated = denormalizer.denormalize(result, data.entities, responseSchema);
+
+      expect(updated.meta).to.be.eql({ page: 2, featured: response.meta.featured });
+      expect(updated.meta.featured).to.equal(denormalized.meta.featured);
+      expect(updated.articles).to.equal(denormalized.articles);
+    });
+  });
+
+  describe('parsing nested objects', () => {
+    const articleSchema = new schema.Entity('article');
+    const userSchema = new schema.Entity('user');
+
+    articleSchema.define({
+      likes: {
+        usersWhoLikes: new schema.Array(userSchema),
+      },
+    });
+
+    const response = {
+      articles: [{
+        id: 1,
+        title: 'Article 1',
+        likes: {
+          usersWhoLikes: [
+            {
+              id: 1,
+              name: 'John',
+            },
+            {
+              id: 2,
+              name: 'Alex',
+            },
+          ],
+        },
+      }, {
+        id: 2,
+        title: 'Article 2',
+        likes: {
+          usersWhoLikes: [
+            {
+              id: 1,
+              name: 'John',
+            },
+          ],
+        },
+      }],
+    };
+
+    const data = normalize(response.articles, new schema.Array(articleSchema));
+
+    it('should denormalize nested non entity objects recursively', () => {
+      const denormalized = data.result.map(id =>
+        denormalize(data.entities.article[id], data.entities, articleSchema),
+      );
+      expect(denormalized).to.be.deep.eql(response.articles);
+    });
+  });
+
+  describe('parsing an array of entities and collections', () => {
+    const articleSchema = new schema.Entity('articles');
+    const userSchema = new schema.Entity('users');
+    const collectionSchema = new schema.Entity('collections');
+
+    articleSchema.define({
+      author: userSchema,
+      collections: new schema.Array(collectionSchema),
+    });
+
+    collectionSchema.define({
+      curator: userSchema,
+    });
+
+    const article1 = {
       id: 1,
       title: 'Some Article',
       author: {
         id: 1,
         name: 'Dan',
       },
-      collections: [{
-        id: 1,
-        name: 'Dan',
-      }, {
-        id: 2,
-        name: 'Giampaolo',
-      }],
-    };
-    const article2 = {
-      id: 2,
-      title: 'Other Article',
-      author: {
-        id: 1,
-        name: 'Dan',
+      collections: [{
+        id: 1,
+        name: 'Dan',
+      }, {
+        id: 2,
+        name: 'Giampaolo',
+      }],
+    };
+    const article2 = {
+      id: 2,
+      title: 'Other Article',
+      author: {
+        id: 1,
+        name: 'Dan',
+      },
+    };
+    const article3 = {
+      id: 3,
+      title: 'Without author',
+      author: null,
+    };
+
+    const article4 = {
+      id: 4,
+      title: 'Some Article',
+      author: {
+        id: '',
+        name: 'Deleted',
+      },
+      collections: [{
+        id: '',
+        name: 'Deleted',
+      }],
+    };
+
+    const response = {
+      articles: [article1, article2, article3, article4],
+    };
+
+    const data = normalize(response, {
+      articles: new schema.Array(articleSchema),
+    });
+
+
+    const expectedArticles = [
+      article1,
+      article2,
+    ];
+
+    it('should return an array of entities', () => {
+      const articles = [
+        data.entities.articles['1'],
+        data.entities.articles['2'],
+      ];
+      const denormalized = denormalize(articles, data.entities, new schema.Array(articleSchema));
+      expect(denormalized).to.be.eql(expectedArticles);
+    });
+
+    it('should return an array of entities from list of ids', () => {
+      const denormalized = denormalize([1, 2], data.entities, new schema.Array(articleSchema));
+      expect(denormalized).to.be.eql(expectedArticles);
+    });
+  });
+
+  describe('parsing a map of entities and collections', () => {
+    const articleSchema = new schema.Entity('articles');
+    const userSchema = new schema.Entity('users');
+    const collectionSchema = new schema.Entity('collections');
+
+    articleSchema.define({
+      collections: new schema.Values(collectionSchema),
+    });
+
+    collectionSchema.define({
+      curator: userSchema,
+    });
+
+    const article1 = {
+      id: 1,
+      title: 'Some Article',
+      collections: {
+        1: {
+          id: 1,
+          name: 'Dan',
+        },
+        2: {
+          id: 2,
+          name: 'Giampaolo',
+        },
+      },
+    };
+    const article2 = {
+      id: 2,
+      title: 'Other Article',
+    };
+
+    const response = {
+      articles: [article1, article2],
+    };
+
+    const data = normalize(response, {
+      articles: new schema.Array(articleSchema),
+    });
+
+    const expectedArticles = [
+      article1,
+      article2,
+    ];
+
+    it('should return an array of denormalized entities given an array of normalized entities', () => {
+      const articles = [
+        data.entities.articles['1'],
+        data.entities.articles['2'],
+      ];
+      const denormalized = denormalize(articles, data.entities, new schema.Array(articleSchema));
+      expect(denormalized).to.be.eql(expectedArticles);
+    });
+
+    it('should return an array of denormalized entities given an array of ids', () => {
+      const denormalized = denormalize([1, 2], data.entities, new schema.Array(articleSchema));
+      expect(denormalized).to.be.eql(expectedArticles);
+    });
+  });
+
+  describe('querying the relations', () => {
+    const commentSchema = new schema.Entity('comments');
+    const tagSchema = new schema.Entity('tags');
+    const articleSchema = new schema.Entity('articles', {
+      comments: [commentSchema],
+      tags: [tagSchema],
+    });
+    const userSchema = new schema.Entity('users', {
+      comments: [commentSchema],
+    });
+
+    commentSchema.define({
+      author: userSchema,
+    });
+
+    const entities = {
+      articles: {
+        1: { id: 1, comments: [1, 2, 3, 4], tags: [1, 2, 3] },
+      },
+      comments: {
+        1: { id: 1, date: 1, author: 1 },
+        2: { id: 2, date: 4, author: 1 },
+        3: { id: 3, date: 3, author: 1 },
+        4: { id: 4, date: 2, author: 1 },
+      },
+      tags: {
+        1: { id: 1, name: 'react' },
+        2: { id: 2, name: 'javascript' },
+        3: { id: 3, name: 'redux' },
+      },
+      users: {
+        1: { id: 1, comments: [1, 2, 3, 4] },
+      },
+    };
+
+    const relations = {
+      articles: {
+        comments: { orderBy: 'date', order: 'desc', limit: 3 },
+        tags: { orderBy: 'name' },
+      },
+    };
+
+    const getIds = items => items.map(item => item.id);
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        const denormalizeArticle = options =>
+          createDenormalizer({ memoized }).denormalize(1, entities, articleSchema, options);
+
+        it('should sort and limit the relations', () => {
+          const denormalized = denormalizeArticle({ relations });
+
+          expect(getIds(denormalized.comments)).to.be.eql([2, 3, 4]);
+          expect(getIds(denormalized.tags)).to.be.eql([2, 1, 3]);
+        });
+
+        it('should only apply to the relations of the given entities', () => {
+          const denormalized = denormalizeArticle({ relations });
+
+          expect(getIds(denormalized.comments[0].author.comments)).to.be.eql([1, 2, 3, 4]);
+        });
+
+        it('should filter the relations', () => {
+          const denormalized = denormalizeArticle({
+            relations: {
+              articles: { comments: { where: comment => comment.date > 2, offset: 1 } },
+            },
+          });
+
+          expect(getIds(denormalized.comments)).to.be.eql([3]);
+        });
+      });
+    });
+
+    it('should not denormalize the excluded items', () => {
+      const denormalizedIds = [];
+
+      denormalize(1, entities, articleSchema, {
+        relations: { articles: { comments: { limit: 1 } } },
+        transform: {
+          comments: (comment) => {
+            denormalizedIds.push(comment.id);
+            return comment;
+          },
+        },
+        maxDepth: 1,
+      });
+
+      expect(denormalizedIds).to.be.eql([1]);
+    });
+  });
+
+  describe('aggregating the relations', () => {
+    const messageSchema = new schema.Entity('messages');
+    const userSchema = new schema.Entity('users');
+    const threadSchema = new schema.Entity('threads', {
+      messages: [messageSchema],
+      participants: [userSchema],
+    });
+
+    messageSchema.define({
+      author: userSchema,
+    });
+
+    const entities = {
+      threads: {
+        1: { id: 1, messages: [1, 2, 3], participants: [1] },
+      },
+      messages: {
+        1: { id: 1, read: true, likes: 2, author: 1 },
+        2: { id: 2, read: false, likes: 0, author: 1 },
+        3: { id: 3, read: true, likes: 5, author: 1 },
+      },
+      users: {
+        1: { id: 1, name: 'Dan' },
+      },
+    };
+
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        const denormalizeThread = messages => createDenormalizer({ memoized }).denormalize(
+          1,
+          entities,
+          threadSchema,
+          { relations: { threads: { messages } } },
+        );
+
+        it('should count the items', () => {
+          expect(denormalizeThread({ aggregate: 'count' }).messages).to.equal(3);
+          expect(denormalizeThread({ aggregate: 'count', where: { read: true } }).messages)
+            .to.equal(2);
+        });
+
+        it('should check whether there is any item', () => {
+          expect(denormalizeThread({ aggregate: 'exists', where: { read: false } }).messages)
+            .to.equal(true);
+          expect(denormalizeThread({ aggregate: 'exists', where: { likes: 10 } }).messages)
+            .to.equal(false);
+        });
+
+        it('should denormalize the first or last item only', () => {
+          expect(denormalizeThread({ aggregate: 'first', orderBy: 'likes' }).messages).to.be.eql({
+            id: 2,
+            read: false,
+            likes: 0,
+            author: { id: 1, name: 'Dan' },
+          });
+          expect(denormalizeThread({ aggregate: 'last', orderBy: 'likes' }).messages.id)
+            .to.equal(3);
+          expect(denormalizeThread({ aggregate: 'first', where: { likes: 10 } }).messages)
+            .to.equal(null);
+        });
+
+        it('should reduce the items', () => {
+          const denormalized = denormalizeThread({
+            aggregate: (total, message) => total + message.likes,
+            initial: 0,
+          });
+
+          expect(denormalized.messages).to.equal(7);
+          expect(denormalized.participants).to.be.eql([{ id: 1, name: 'Dan' }]);
+        });
+
+        it('should throw with an unknown aggregate', () => {
+          expect(() => denormalizeThread({ aggregate: 'other' })).to.throw(Error);
+        });
+      });
+    });
+  });
+
+  describe('denormalizing whole tables', () => {
+    const articleSchema = new schema.Entity('articles');
+    const userSchema = new schema.Entity('users');
+
+    articleSchema.define({
+      author: userSchema,
+    });
+
+    const entities = {
+      articles: {
+        1: { id: 1, title: 'First', published: true, date: 3, author: 1 },
+        2: { id: 2, title: 'Second', published: false, date: 1, author: 1 },
+        3: { id: 3, title: 'Third', published: true, date: 2, author: 2 },
+        4: { id: 4, title: 'Fourth', published: true, date: 4, author: 2 },
+      },
+      users: {
+        1: { id: 1, name: 'Dan' },
+        2: { id: 2, name: 'Alice' },
+      },
+    };
+
+    const getTitles = articles => articles.map(article => article.title);
+
+    it('should denormalize every entity', () => {
+      const denormalized = denormalizeAll(entities, articleSchema);
+
+      expect(getTitles(denormalized)).to.be.eql(['First', 'Second', 'Third', 'Fourth']);
+      expect(denormalized[0].author).to.be.eql({ id: 1, name: 'Dan' });
+    });
+
+    it('should share the same bag', () => {
+      const denormalized = denormalizeAll(entities, articleSchema);
+
+      expect(denormalized[0].author).to.equal(denormalized[1].author);
+    });
+
+    it('should filter the entities', () => {
+      expect(getTitles(denormalizeAll(entities, articleSchema, {
+        where: { published: true, author: 2 },
+      }))).to.be.eql(['Third', 'Fourth']);
+
+      expect(getTitles(denormalizeAll(entities, articleSchema, {
+        where: (article, id) => id !== '1' && article.published,
+      }))).to.be.eql(['Third', 'Fourth']);
+    });
+
+    it('should sort and paginate the entities', () => {
+      const query = { where: { published: true }, orderBy: 'date', order: 'desc' };
+
+      expect(getTitles(denormalizeAll(entities, articleSchema, query)))
+        .to.be.eql(['Fourth', 'First', 'Third']);
+      expect(getTitles(denormalizeAll(entities, articleSchema, assign({ limit: 2 }, query))))
+        .to.be.eql(['Fourth', 'First']);
+      expect(getTitles(denormalizeAll(entities, articleSchema, assign({ offset: 1 }, query))))
+        .to.be.eql(['First', 'Third']);
+      expect(getTitles(denormalizeAll(entities, articleSchema, {
+        orderBy: article => article.title,
+        limit: 1,
+        offset: 1,
+      }))).to.be.eql(['Fourth']);
+    });
+
+    it('should return an empty array when the table is missing', () => {
+      expect(denormalizeAll({}, articleSchema)).to.be.eql([]);
+    });
+
+    it('should keep the same references when memoized', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const query = { where: { published: true }, orderBy: 'date' };
+      const denormalized = denormalizer.denormalizeAll(entities, articleSchema, query);
+
+      expect(denormalizer.denormalizeAll(entities, articleSchema, query)).to.equal(denormalized);
+    });
+  });
+
+  describe('tracking the dependencies', () => {
+    const articleSchema = new schema.Entity('articles');
+    const userSchema = new schema.Entity('users');
+    const tagSchema = new schema.Entity('tags');
+
+    articleSchema.define({
+      author: userSchema,
+      tags: [tagSchema],
+    });
+
+    userSchema.define({
+      articles: [articleSchema],
+    });
+
+    const entities = {
+      articles: {
+        1: { id: 1, author: 1, tags: [1, 2] },
+        2: { id: 2, author: 1, tags: [] },
+      },
+      users: {
+        1: { id: 1, articles: [1, 2] },
       },
-    };
-    const article3 = {
-      id: 3,
-      title: 'Without author',
-      author: null,
-    };
-
-    const article4 = {
-      id: 4,
-      title: 'Some Article',
-      author: {
-        id: '',
-        name: 'Deleted',
+      tags: {
+        1: { id: 1, name: 'react' },
       },
-      collections: [{
-        id: '',
-        name: 'Deleted',
-      }],
     };
 
+    [false, true].forEach((memoized) => {
+      describe(memoized ? 'when memoized' : 'when not memoized', () => {
+        it('should return the entities the result is denormalized from', () => {
+          const { result, dependencies } = createDenormalizer({ memoized })
+            .denormalizeWithDependencies(1, entities, articleSchema);
+
+          expect(result.author.articles[0]).to.equal(result);
+          expect(dependencies).to.be.eql({
+            articles: [1, 2],
+            users: [1],
+            tags: [1, 2],
+          });
+        });
+      });
+    });
+
+    it('should not include the entities beyond the maximum depth', () => {
+      const { dependencies } = denormalizeWithDependencies(1, entities, articleSchema, {
+        maxDepth: 1,
+      });
+
+      expect(dependencies).to.be.eql({ articles: [1], users: [1], tags: [1, 2] });
+    });
+
+    it('should keep the ids of the entities found by lookup', () => {
+      const postSchema = new schema.Entity('posts');
+      const commentSchema = new schema.Entity('comments');
+
+      postSchema.define({ comments: hasMany(commentSchema, 'postId') });
+
+      const postEntities = {
+        posts: { 1: { id: 1 } },
+        comments: { 1: { id: 1, postId: 1 }, 2: { id: 2, postId: 1 } },
+      };
+      const { result } = denormalizeWithDependencies(1, postEntities, postSchema, {
+        maxDepth: 0,
+      });
+      const { dependencies } = denormalizeWithDependencies(1, postEntities, postSchema);
+
+      expect(result.comments).to.be.eql([1, 2]);
+      expect(dependencies).to.be.eql({ posts: [1], comments: [1, 2] });
+    });
+
+    it('should include the entities read by the queries of the relations', () => {
+      const { result, dependencies } = denormalizeWithDependencies(1, entities, articleSchema, {
+        relations: { articles: { tags: { aggregate: 'count', where: { name: 'react' } } } },
+        maxDepth: 0,
+      });
+
+      expect(result.tags).to.equal(1);
+      expect(dependencies).to.be.eql({ articles: [1], tags: [1, 2] });
+    });
+  });
+
+  describe('using isolated denormalizers', () => {
+    const articleSchema = new schema.Entity('articles');
+    const userSchema = new schema.Entity('users');
+
+    articleSchema.define({
+      author: userSchema,
+    });
+
     const response = {
-      articles: [article1, article2, article3, article4],
+      articles: [{
+        id: 1,
+        title: 'Some Article',
+        author: {
+          id: 1,
+          name: 'Dan',
+        },
+      }],
     };
 
     const data = normalize(response, {
       articles: new schema.Array(articleSchema),
     });
 
+    it('should memoize the results of each instance', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(1, data.entities, articleSchema);
 
-    const expectedArticles = [
-      article1,
-      article2,
-    ];
+      expect(denormalized).to.be.eql(response.articles[0]);
+      expect(denormalizer.denormalize(1, data.entities, articleSchema)).to.equal(denormalized);
+    });
 
-    it('should return an array of entities', () => {
-      const articles = [
-        data.entities.articles['1'],
-        data.entities.articles['2'],
-      ];
-      const denormalized = denormalize(articles, data.entities, new schema.Array(articleSchema));
-      expect(denormalized).to.be.eql(expectedArticles);
+    it('should not share the cache between instances', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const otherDenormalizer = createDenormalizer({ memoized: true });
+
+      expect(otherDenormalizer.denormalize(1, data.entities, articleSchema))
+        .to.not.equal(denormalizer.denormalize(1, data.entities, articleSchema));
+      expect(denormalize(1, data.entities, articleSchema, { memoized: true }))
+        .to.not.equal(denormalizer.denormalize(1, data.entities, articleSchema));
     });
 
-    it('should return an array of entities from list of ids', () => {
-      const denormalized = denormalize([1, 2], data.entities, new schema.Array(articleSchema));
-      expect(denormalized).to.be.eql(expectedArticles);
+    it('should clear the cached results of an entity key', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(1, data.entities, articleSchema);
+      const author = denormalized.author;
+
+      denormalizer.clear('articles');
+      const cleared = denormalizer.denormalize(1, data.entities, articleSchema);
+
+      expect(cleared).to.not.equal(denormalized);
+      expect(cleared.author).to.equal(author);
+    });
+
+    it('should clear the cached result of a single entity', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(1, data.entities, articleSchema);
+
+      denormalizer.clear('articles', 1);
+      const cleared = denormalizer.denormalize(1, data.entities, articleSchema);
+
+      expect(cleared).to.be.eql(denormalized);
+      expect(cleared).to.not.equal(denormalized);
+    });
+
+    it('should clear every cached result when no key is given', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(1, data.entities, articleSchema);
+
+      denormalizer.clear();
+      const cleared = denormalizer.denormalize(1, data.entities, articleSchema);
+
+      expect(cleared).to.be.eql(denormalized);
+      expect(cleared).to.not.equal(denormalized);
+      expect(cleared.author).to.not.equal(denormalized.author);
+    });
+
+    it('should clear and prune the cache of `denormalize`', () => {
+      const options = { memoized: true };
+      const denormalized = denormalize(1, data.entities, articleSchema, options);
+
+      expect(cache.articles.has('1')).to.be.true;
+
+      clear('articles', 1);
+      const cleared = denormalize(1, data.entities, articleSchema, options);
+
+      expect(cleared).to.be.eql(denormalized);
+      expect(cleared).to.not.equal(denormalized);
+
+      prune({ articles: {}, users: data.entities.users });
+
+      expect(cache.articles.has('1')).to.be.false;
+      expect(cache.users.has('1')).to.be.true;
+
+      clear();
+
+      expect(cache).to.be.empty;
+    });
+
+    it('should empty the cache when reset', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(1, data.entities, articleSchema);
+
+      denormalizer.reset();
+
+      expect(denormalizer.denormalize(1, data.entities, articleSchema)).to.not.equal(denormalized);
+    });
+
+    it('should evict the least recently used entities', () => {
+      const entities = normalize([
+        { id: 1, title: 'One', author: { id: 1, name: 'Dan' } },
+        { id: 2, title: 'Two', author: { id: 1, name: 'Dan' } },
+        { id: 3, title: 'Three', author: { id: 1, name: 'Dan' } },
+      ], new schema.Array(articleSchema)).entities;
+      const denormalizer = createDenormalizer({ memoized: true, maxEntries: 2 });
+
+      const first = denormalizer.denormalize(1, entities, articleSchema);
+      const second = denormalizer.denormalize(2, entities, articleSchema);
+      expect(denormalizer.denormalize(1, entities, articleSchema)).to.equal(first);
+
+      denormalizer.denormalize(3, entities, articleSchema);
+
+      expect(denormalizer.denormalize(1, entities, articleSchema)).to.equal(first);
+      expect(denormalizer.denormalize(2, entities, articleSchema)).to.not.equal(second);
+    });
+
+    it('should prune the entities missing from the store', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+      const denormalized = denormalizer.denormalize(1, data.entities, articleSchema);
+
+      denormalizer.prune(data.entities);
+      expect(denormalizer.denormalize(1, data.entities, articleSchema)).to.equal(denormalized);
+
+      denormalizer.prune({ users: data.entities.users });
+      const pruned = denormalizer.denormalize(1, data.entities, articleSchema);
+
+      expect(pruned).to.not.equal(denormalized);
+      expect(pruned.author).to.equal(denormalized.author);
+    });
+
+    it('should let the options of a call override the default ones', () => {
+      const denormalizer = createDenormalizer({ memoized: true });
+
+      expect(denormalizer.denormalize(1, data.entities, articleSchema, { maxDepth: 0 }))
+        .to.be.eql(data.entities.articles['1']);
     });
   });
 
-  describe('parsing a map of entities and collections', () => {
+  describe('selecting from a store', () => {
     const articleSchema = new schema.Entity('articles');
     const userSchema = new schema.Entity('users');
-    const collectionSchema = new schema.Entity('collections');
+    const commentSchema = new schema.Entity('comments');
 
     articleSchema.define({
-      collections: new schema.Values(collectionSchema),
+      author: userSchema,
+      comments: hasMany(commentSchema, 'articleId'),
     });
 
-    collectionSchema.define({
-      curator: userSchema,
+    const initialState = {
+      ids: [1, 2],
+      entities: {
+        articles: {
+          1: { id: 1, title: 'One', author: 1 },
+          2: { id: 2, title: 'Two', author: 3 },
+        },
+        users: {
+          1: { id: 1, name: 'Dan' },
+          2: { id: 2, name: 'Sophie' },
+        },
+        comments: {
+          1: { id: 1, articleId: 1 },
+        },
+      },
+    };
+
+    const setEntity = (state, key, entity) => assign({}, state, {
+      entities: assign({}, state.entities, {
+        [key]: assign({}, state.entities[key], { [entity.id]: entity }),
+      }),
     });
 
-    const article1 = {
-      id: 1,
-      title: 'Some Article',
-      collections: {
-        1: {
+    const reducer = (state = initialState, action) => {
+      switch (action.type) {
+        case 'SET_ENTITY':
+          return setEntity(state, action.key, action.entity);
+        case 'SET_IDS':
+          return assign({}, state, { ids: action.ids });
+        default:
+          return state;
+      }
+    };
+
+    const createSelector = options => createDenormalizeSelector(
+      state => state.ids,
+      [articleSchema],
+      options,
+    );
+
+    it('should denormalize the selected ids', () => {
+      const store = createStore(reducer);
+      const result = createSelector()(store.getState());
+
+      expect(result).to.be.eql([
+        {
           id: 1,
-          name: 'Dan',
+          title: 'One',
+          author: { id: 1, name: 'Dan' },
+          comments: [{ id: 1, articleId: 1 }],
         },
-        2: {
-          id: 2,
-          name: 'Giampaolo',
+        { id: 2, title: 'Two', author: null, comments: [] },
+      ]);
+    });
+
+    it('should return the same result when unrelated entities change', () => {
+      const store = createStore(reducer);
+      const selectArticles = createSelector();
+      const result = selectArticles(store.getState());
+
+      store.dispatch({ type: 'SET_ENTITY', key: 'users', entity: { id: 2, name: 'Sophia' } });
+      store.dispatch({ type: 'SET_IDS', ids: [1, 2] });
+
+      expect(selectArticles(store.getState())).to.equal(result);
+    });
+
+    it('should return a new result when an entity it is denormalized from changes', () => {
+      const store = createStore(reducer);
+      const selectArticles = createSelector();
+      const result = selectArticles(store.getState());
+
+      store.dispatch({ type: 'SET_ENTITY', key: 'users', entity: { id: 1, name: 'Dan A.' } });
+      const updated = selectArticles(store.getState());
+
+      expect(updated).to.not.equal(result);
+      expect(updated[0].author.name).to.equal('Dan A.');
+      expect(updated[1]).to.equal(result[1]);
+    });
+
+    it('should return a new result when a missing entity is added', () => {
+      const store = createStore(reducer);
+      const selectArticles = createSelector();
+      const result = selectArticles(store.getState());
+
+      store.dispatch({ type: 'SET_ENTITY', key: 'users', entity: { id: 3, name: 'Paul' } });
+      const updated = selectArticles(store.getState());
+
+      expect(updated).to.not.equal(result);
+      expect(updated[1].author).to.be.eql({ id: 3, name: 'Paul' });
+    });
+
+    it('should return a new result when an entity is added to a table of lookups', () => {
+      const store = createStore(reducer);
+      const selectArticles = createSelector();
+      const result = selectArticles(store.getState());
+
+      store.dispatch({ type: 'SET_ENTITY', key: 'comments', entity: { id: 2, articleId: 2 } });
+      const updated = selectArticles(store.getState());
+
+      expect(updated).to.not.equal(result);
+      expect(updated[1].comments).to.be.eql([{ id: 2, articleId: 2 }]);
+    });
+
+    it('should select the attributes', () => {
+      const store = createStore(reducer);
+      const selectArticles = createSelector({ select: { title: true, author: { name: true } } });
+      const result = selectArticles(store.getState());
+
+      expect(result).to.be.eql([
+        { title: 'One', author: { name: 'Dan' } },
+        { title: 'Two', author: null },
+      ]);
+
+      store.dispatch({ type: 'SET_ENTITY', key: 'users', entity: { id: 1, name: 'Dan A.' } });
+      const updated = selectArticles(store.getState());
+
+      expect(updated[0].author).to.be.eql({ name: 'Dan A.' });
+      expect(updated[1]).to.equal(result[1]);
+    });
+
+    it('should return a new result when the ids change', () => {
+      const store = createStore(reducer);
+      const selectArticles = createSelector();
+      const result = selectArticles(store.getState());
+
+      store.dispatch({ type: 'SET_IDS', ids: [2] });
+      const updated = selectArticles(store.getState());
+
+      expect(updated).to.have.length(1);
+      expect(updated[0]).to.equal(result[1]);
+    });
+
+    it('should take the entities from the `getEntities` option', () => {
+      const selectArticle = createDenormalizeSelector(
+        (state, id) => id,
+        articleSchema,
+        { getEntities: state => state.data, maxDepth: 0 },
+      );
+
+      expect(selectArticle({ data: initialState.entities }, 1))
+        .to.be.eql({ id: 1, title: 'One', author: 1, comments: [1] });
+    });
+  });
+
+  describe('watching an entity', () => {
+    const articleSchema = new schema.Entity('articles');
+    const userSchema = new schema.Entity('users');
+    const commentSchema = new schema.Entity('comments');
+
+    articleSchema.define({
+      author: userSchema,
+      comments: hasMany(commentSchema, 'articleId'),
+    });
+
+    const createSource = (initialEntities) => {
+      let state = { entities: initialEntities };
+      let listeners = [];
+
+      return {
+        getState: () => state,
+        subscribe: (listener) => {
+          listeners.push(listener);
+          return () => {
+            listeners = listeners.filter(other => other !== listener);
+          };
         },
-      },
-    };
-    const article2 = {
-      id: 2,
-      title: 'Other Article',
+        set: (key, entity) => {
+          state = {
+            entities: assign({}, state.entities, {
+              [key]: assign({}, state.entities[key], { [entity.id]: entity }),
+            }),
+          };
+          listeners.forEach(listener => listener());
+        },
+      };
     };
 
-    const response = {
-      articles: [article1, article2],
+    const entities = {
+      articles: {
+        42: { id: 42, title: 'Some Article', author: 1 },
+      },
+      users: {
+        1: { id: 1, name: 'Dan' },
+        2: { id: 2, name: 'Sophie' },
+      },
+      comments: {},
     };
 
-    const data = normalize(response, {
-      articles: new schema.Array(articleSchema),
+    it('should call the callback when a dependency changes', () => {
+      const source = createSource(entities);
+      const calls = [];
+
+      watch(source, 42, articleSchema, (...args) => calls.push(args));
+      source.set('users', { id: 1, name: 'Dan A.' });
+
+      expect(calls).to.have.length(1);
+      expect(calls[0][0].author).to.be.eql({ id: 1, name: 'Dan A.' });
+      expect(calls[0][1].author).to.be.eql({ id: 1, name: 'Dan' });
     });
 
-    const expectedArticles = [
-      article1,
-      article2,
-    ];
+    it('should call the callback when an entity is added to a table of lookups', () => {
+      const source = createSource(entities);
+      const calls = [];
 
-    it('should return an array of denormalized entities given an array of normalized entities', () => {
-      const articles = [
-        data.entities.articles['1'],
-        data.entities.articles['2'],
-      ];
-      const denormalized = denormalize(articles, data.entities, new schema.Array(articleSchema));
-      expect(denormalized).to.be.eql(expectedArticles);
+      watch(source, 42, articleSchema, value => calls.push(value));
+      source.set('comments', { id: 1, articleId: 42 });
+
+      expect(calls).to.have.length(1);
+      expect(calls[0].comments).to.be.eql([{ id: 1, articleId: 42 }]);
     });
 
-    it('should return an array of denormalized entities given an array of ids', () => {
-      const denormalized = denormalize([1, 2], data.entities, new schema.Array(articleSchema));
-      expect(denormalized).to.be.eql(expectedArticles);
+    it('should not call the callback when unrelated entities change', () => {
+      const source = createSource(entities);
+      const calls = [];
+
+      watch(source, 42, articleSchema, value => calls.push(value));
+      source.set('users', { id: 2, name: 'Sophia' });
+      source.set('articles', { id: 43, title: 'Other Article', author: 1 });
+
+      expect(calls).to.be.empty;
+    });
+
+    it('should stop watching when unsubscribed', () => {
+      const source = createSource(entities);
+      const calls = [];
+
+      const unsubscribe = watch(source, 42, articleSchema, value => calls.push(value));
+      unsubscribe();
+      source.set('users', { id: 1, name: 'Dan A.' });
+
+      expect(calls).to.be.empty;
+    });
+
+    it('should take the entities from the `getEntities` option', () => {
+      const source = createSource(entities);
+      const calls = [];
+      const store = {
+        getState: () => ({ data: source.getState().entities }),
+        subscribe: source.subscribe,
+      };
+
+      watch(store, 42, articleSchema, value => calls.push(value), {
+        getEntities: state => state.data,
+      });
+      source.set('articles', { id: 42, title: 'Renamed', author: 2 });
+
+      expect(calls).to.have.length(1);
+      expect(calls[0].author).to.be.eql({ id: 2, name: 'Sophie' });
+    });
+  });
+
+  describe('inspecting schemas', () => {
+    const userSchema = new schema.Entity('users');
+    const articleSchema = new schema.Entity('articles');
+    const commentSchema = new schema.Entity('comments');
+    const groupSchema = new schema.Entity('groups');
+    const membershipSchema = new schema.Entity('memberships', { groupId: groupSchema });
+    const ownerSchema = new schema.Union({
+      users: userSchema,
+      groups: groupSchema,
+    }, 'type');
+
+    articleSchema.define({
+      author: userSchema,
+      meta: { reviewers: new schema.Values(userSchema) },
+      comments: hasMany(commentSchema, 'articleId'),
+      owner: ownerSchema,
+    });
+
+    userSchema.define({
+      articles: [articleSchema],
+      friends: new schema.Array(userSchema),
+      groups: through(membershipSchema, 'userId', 'groupId'),
+    });
+
+    const graph = inspectSchema({ articles: [articleSchema] });
+
+    it('should return the entities and their relations', () => {
+      expect(graph.entities).to.be.eql([
+        'articles', 'users', 'groups', 'memberships', 'comments',
+      ]);
+      expect(graph.relations).to.be.eql([
+        { from: 'articles', attribute: 'author', to: 'users', type: 'one' },
+        { from: 'users', attribute: 'articles', to: 'articles', type: 'many' },
+        { from: 'users', attribute: 'friends', to: 'users', type: 'many' },
+        { from: 'users', attribute: 'groups', to: 'groups', type: 'through', through: 'memberships' },
+        { from: 'memberships', attribute: 'groupId', to: 'groups', type: 'one' },
+        { from: 'articles', attribute: 'meta.reviewers', to: 'users', type: 'many' },
+        { from: 'articles', attribute: 'comments', to: 'comments', type: 'hasMany' },
+        { from: 'articles', attribute: 'owner', to: 'users', type: 'one' },
+        { from: 'articles', attribute: 'owner', to: 'groups', type: 'one' },
+      ]);
+    });
+
+    it('should detect the cycles', () => {
+      expect(graph.cycles).to.be.eql([{
+        entities: ['articles', 'users'],
+        relations: [
+          { from: 'articles', attribute: 'author', to: 'users', type: 'one' },
+          { from: 'users', attribute: 'articles', to: 'articles', type: 'many' },
+          { from: 'users', attribute: 'friends', to: 'users', type: 'many' },
+          { from: 'articles', attribute: 'meta.reviewers', to: 'users', type: 'many' },
+          { from: 'articles', attribute: 'owner', to: 'users', type: 'one' },
+        ],
+      }]);
+      expect(inspectSchema(commentSchema).cycles).to.be.empty;
+
+      const a = new schema.Entity('a');
+      const b = new schema.Entity('b');
+      const c = new schema.Entity('c');
+      const d = new schema.Entity('d');
+
+      a.define({ c, b });
+      b.define({ c });
+      c.define({ a, d });
+      d.define({ d });
+
+      expect(inspectSchema(a).cycles).to.be.eql([
+        {
+          entities: ['a', 'c', 'b'],
+          relations: [
+            { from: 'a', attribute: 'c', to: 'c', type: 'one' },
+            { from: 'c', attribute: 'a', to: 'a', type: 'one' },
+            { from: 'a', attribute: 'b', to: 'b', type: 'one' },
+            { from: 'b', attribute: 'c', to: 'c', type: 'one' },
+          ],
+        },
+        {
+          entities: ['d'],
+          relations: [{ from: 'd', attribute: 'd', to: 'd', type: 'one' }],
+        },
+      ]);
+    });
+
+    it('should detect the cycles of large schemas in linear time', () => {
+      const schemas = [];
+
+      for (let i = 0; i < 60; i += 1) {
+        schemas.push(new schema.Entity(`e${i}`));
+      }
+      schemas.forEach((entitySchema, i) => entitySchema.define({
+        next1: schemas[(i + 1) % 60],
+        next2: schemas[(i + 2) % 60],
+        next3: schemas[(i + 3) % 60],
+      }));
+
+      const { cycles } = inspectSchema(schemas[0]);
+
+      expect(cycles).to.have.length(1);
+      expect(cycles[0].entities).to.have.length(60);
+      expect(cycles[0].relations).to.have.length(180);
+    });
+
+    it('should render the graph as DOT', () => {
+      expect(inspectSchema(membershipSchema).toDOT()).to.equal([
+        'digraph schema {',
+        '  "memberships";',
+        '  "groups";',
+        '  "memberships" -> "groups" [label="groupId"];',
+        '}',
+        '',
+      ].join('\n'));
+      expect(graph.toDOT()).to.contain(
+        '  "users" -> "groups" [label="groups", arrowhead=crow, style=dashed];',
+      );
+    });
+
+    it('should render the graph as Mermaid', () => {
+      expect(inspectSchema(userSchema).toMermaid()).to.equal([
+        'graph LR',
+        '  e0["users"]',
+        '  e1["articles"]',
+        '  e2["comments"]',
+        '  e3["groups"]',
+        '  e4["memberships"]',
+        '  e0 ==>|"articles"| e1',
+        '  e1 -->|"author"| e0',
+        '  e1 ==>|"meta.reviewers"| e0',
+        '  e1 -.->|"comments"| e2',
+        '  e1 -->|"owner"| e0',
+        '  e1 -->|"owner"| e3',
+        '  e0 ==>|"friends"| e0',
+        '  e0 -.->|"groups"| e3',
+        '  e4 -->|"groupId"| e3',
+        '',
+      ].join('\n'));
     });
   });
 });
@@ -0,0 +1,185 @@
+/* eslint-env mocha */
+
+import { expect } from 'chai';
+import { schema } from 'normalizr';
+import assign from 'lodash/assign';
+import { createElement } from 'react';
+import { create, act } from 'react-test-renderer';
+import { Provider } from 'react-redux';
+import { createStore } from 'redux';
+
+import { useDenormalized, withDenormalized } from '../src/react';
+
+describe('react', () => {
+  const articleSchema = new schema.Entity('articles');
+  const userSchema = new schema.Entity('users');
+
+  articleSchema.define({
+    author: userSchema,
+  });
+
+  const articleListSchema = [articleSchema];
+
+  const initialState = {
+    entities: {
+      articles: {
+        1: { id: 1, title: 'One', author: 1 },
+        2: { id: 2, title: 'Two', author: 2 },
+      },
+      users: {
+        1: { id: 1, name: 'Dan' },
+        2: { id: 2, name: 'Sophie' },
+      },
+    },
+  };
+
+  const reducer = (state = initialState, action) => {
+    if (action.type !== 'SET_ENTITY') {
+      return state;
+    }
+
+    return {
+      entities: assign({}, state.entities, {
+        [action.key]: assign({}, state.entities[action.key], { [action.entity.id]: action.entity }),
+      }),
+    };
+  };
+
+  const render = (store, element) => {
+    let renderer;
+
+    act(() => {
+      renderer = create(createElement(Provider, { store }, element));
+    });
+
+    return renderer;
+  };
+
+  const dispatch = (store, action) => act(() => {
+    store.dispatch(action);
+  });
+
+  describe('useDenormalized', () => {
+    const renderHook = (store, ids, selectEntities) => {
+      const hookSchema = Array.isArray(ids) ? articleListSchema : articleSchema;
+      const results = [];
+      const Component = (props) => {
+        results.push(useDenormalized(props.ids, hookSchema, selectEntities));
+        return null;
+      };
+
+      const element = props => createElement(Provider, { store }, createElement(Component, props));
+      let renderer;
+
+      act(() => {
+        renderer = create(element({ ids }));
+      });
+
+      const rerender = otherIds => act(() => {
+        renderer.update(element({ ids: otherIds }));
+      });
+
+      return { results, rerender };
+    };
+
+    it('should return the denormalized entities', () => {
+      const { results } = renderHook(createStore(reducer), [1, 2]);
+
+      expect(results[0]).to.be.eql([
+        { id: 1, title: 'One', author: { id: 1, name: 'Dan' } },
+        { id: 2, title: 'Two', author: { id: 2, name: 'Sophie' } },
+      ]);
+    });
+
+    it('should return the same result across renders', () => {
+      const { results, rerender } = renderHook(createStore(reducer), 1);
+
+      rerender(1);
+
+      expect(results).to.have.length(2);
+      expect(results[1]).to.equal(results[0]);
+    });
+
+    it('should return the same result for new arrays of the same ids', () => {
+      const { results, rerender } = renderHook(createStore(reducer), [1, 2]);
+
+      rerender([1, 2]);
+
+      expect(results[1]).to.equal(results[0]);
+    });
+
+    it('should not render again when unrelated entities change', () => {
+      const store = createStore(reducer);
+      const { results } = renderHook(store, 1);
+
+      dispatch(store, { type: 'SET_ENTITY', key: 'users', entity: { id: 2, name: 'Sophia' } });
+
+      expect(results).to.have.length(1);
+    });
+
+    it('should return a new result when an entity changes', () => {
+      const store = createStore(reducer);
+      const { results } = renderHook(store, [1, 2]);
+
+      dispatch(store, { type: 'SET_ENTITY', key: 'users', entity: { id: 1, name: 'Dan A.' } });
+
+      expect(results).to.have.length(2);
+      expect(results[1][0].author.name).to.equal('Dan A.');
+      expect(results[1][1]).to.equal(results[0][1]);
+    });
+
+    it('should take the entities from `selectEntities`', () => {
+      const store = createStore(state => state, { data: initialState.entities });
+      const { results } = renderHook(store, 2, state => state.data);
+
+      expect(results[0].author).to.be.eql({ id: 2, name: 'Sophie' });
+    });
+
+    it('should not share the cache between stores', () => {
+      const { results } = renderHook(createStore(reducer), 1);
+      const { results: otherResults } = renderHook(createStore(reducer), 1);
+
+      expect(otherResults[0]).to.be.eql(results[0]);
+      expect(otherResults[0]).to.not.equal(results[0]);
+    });
+  });
+
+  describe('withDenormalized', () => {
+    it('should pass the denormalized entities as a prop', () => {
+      const received = [];
+      const Article = (props) => {
+        received.push(props);
+        return null;
+      };
+      const ConnectedArticle = withDenormalized(props => props.id, articleSchema)(Article);
+
+      render(createStore(reducer), createElement(ConnectedArticle, { id: 1 }));
+
+      expect(ConnectedArticle.displayName).to.equal('withDenormalized(Article)');
+      expect(received[0]).to.be.eql({
+        id: 1,
+        denormalized: { id: 1, title: 'One', author: { id: 1, name: 'Dan' } },
+      });
+    });
+
+    it('should pass the result as the `prop` option', () => {
+      const received = [];
+      const Article = (props) => {
+        received.push(props);
+        return null;
+      };
+      const ConnectedArticle = withDenormalized(props => props.id, articleSchema, {
+        prop: 'article',
+        selectEntities: state => state.entities,
+      })(Article);
+
+      const store = createStore(reducer);
+      render(store, createElement(ConnectedArticle, { id: 2 }));
+      dispatch(store, { type: 'SET_ENTITY', key: 'users', entity: { id: 2, name: 'Sophia' } });
+
+      expect(received).to.have.length(2);
+      expect(received[0].article.author.name).to.equal('Sophie');
+      expect(received[1].article.author.name).to.equal('Sophia');
+    });
+  });
+});
@@ -0,0 +1,246 @@
+import { schema } from 'normalizr';
+import { fromJS, Map } from 'immutable';
+
+import {
+  denormalize,
+  denormalizeAll,
+  denormalizeWithDependencies,
+  createDenormalizer,
+  createDenormalizeSelector,
+  watch,
+  cache,
+  clear,
+  prune,
+  inspectSchema,
+  relink,
+  hasMany,
+  through,
+  isImmutable,
+  getIn,
+  setIn,
+  deleteIn,
+  pick,
+  Denormalized,
+  EntitySchema,
+  ArraySchema,
+  ValuesSchema,
+  UnionSchema,
+  HasManyRelation,
+  ThroughRelation,
+  ImmutableList,
+} from '../..';
+
+/**
+ * Type-level tests: this file is only compiled with `tsc`, a type that does
+ * not match fails the test suite.
+ */
+
+type Equals<A, B> =
+  (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+
+type Same<A, B> = [A] extends [B] ? ([B] extends [A] ? true : false) : false;
+
+function expectType<T>(value: T): T {
+  return value;
+}
+
+function assertTrue<T extends true>(): T | undefined {
+  return undefined;
+}
+
+interface User {
+  id: number;
+  name: string;
+}
+
+interface Article {
+  id: number;
+  title: string;
+  author: number;
+  tags?: string[];
+}
+
+interface Comment {
+  id: number;
+  articleId: number;
+  body: string;
+}
+
+interface Group {
+  id: number;
+  name: string;
+}
+
+interface Membership {
+  id: number;
+  userId: number;
+  groupId: number;
+}
+
+type CommentSchema = EntitySchema<Comment>;
+type GroupSchema = EntitySchema<Group>;
+type MembershipSchema = EntitySchema<Membership, { groupId: GroupSchema }>;
+type ArticleSchema = EntitySchema<Article, {
+  author: UserSchema;
+  comments: HasManyRelation<CommentSchema>;
+}>;
+interface UserSchema extends EntitySchema<User, {
+  articles: ArticleSchema[];
+  groups: ThroughRelation<GroupSchema>;
+}> {}
+
+const entities = {
+  users: { 1: { id: 1, name: 'Dan' } },
+  articles: { 1: { id: 1, title: 'Some Article', author: 1 } },
+};
+
+const commentSchema = new schema.Entity('comments') as CommentSchema;
+const groupSchema = new schema.Entity('groups') as GroupSchema;
+const membershipSchema = new schema.Entity('memberships', {
+  groupId: groupSchema,
+}) as MembershipSchema;
+const userSchema = new schema.Entity('users') as UserSchema;
+const articleSchema = new schema.Entity('articles') as ArticleSchema;
+
+articleSchema.define({
+  author: userSchema,
+  comments: hasMany(commentSchema, 'articleId'),
+});
+
+userSchema.define({
+  articles: [articleSchema],
+  groups: through(membershipSchema, 'userId', 'groupId'),
+});
+
+// Entities, with their relations
+const article = denormalize(1, entities, articleSchema);
+
+expectType<number>(article.id);
+expectType<string>(article.title);
+expectType<string[] | undefined>(article.tags);
+expectType<string>(article.author.name);
+expectType<Comment[]>(article.comments);
+expectType<string>(article.author.articles[0].author.name);
+expectType<Group[]>(article.author.groups);
+assertTrue<Same<typeof article.author.groups, Group[]>>();
+
+// @ts-expect-error the author is denormalized
+expectType<number>(article.author);
+
+// Arrays, values and unions
+const articles = denormalize([1], entities, [articleSchema]);
+assertTrue<Same<typeof articles, Array<Denormalized<ArticleSchema>>>>();
+
+const articleList = new schema.Array(articleSchema) as ArraySchema<ArticleSchema>;
+expectType<string>(denormalize([1], entities, articleList)[0].title);
+
+const articleMap = new schema.Values(articleSchema) as ValuesSchema<ArticleSchema>;
+expectType<string>(denormalize({ a: 1 }, entities, articleMap).a.title);
+
+const owner = new schema.Union({
+  users: userSchema,
+  groups: groupSchema,
+}, 'type') as UnionSchema<{ users: UserSchema; groups: GroupSchema }>;
+expectType<string>(denormalize({ id: 1, schema: 'users' }, entities, owner).name);
+
+// Plain object schemas
+const response = denormalize({ articles: [1], user: 1 }, entities, {
+  articles: [articleSchema],
+  user: userSchema,
+});
+expectType<string>(response.articles[0].title);
+expectType<string>(response.user.name);
+
+// Untyped schemas
+const untyped = denormalize(1, entities, new schema.Entity('users'));
+assertTrue<Equals<typeof untyped, any>>();
+
+// Immutable entities
+const immutableEntities: Map<string, any> = fromJS(entities);
+const immutable = denormalize(1, immutableEntities, articleSchema);
+assertTrue<Equals<typeof immutable, any>>();
+expectType<ImmutableList>(denormalizeAll(immutableEntities, articleSchema));
+
+// Immutable utilities
+if (isImmutable(immutable)) {
+  expectType<any>(immutable.toJS());
+}
+expectType<any>(getIn(immutableEntities, ['users', 1, 'name']));
+expectType<Map<string, any>>(setIn(immutableEntities, ['users', 1, 'name'], 'Dan'));
+expectType<typeof entities>(deleteIn(entities, ['users', 1]));
+expectType<Map<string, any>>(pick(immutableEntities, ['users']));
+assertTrue<Same<ReturnType<typeof pick<typeof article, 'id'>>, { id: number }>>();
+
+// Unprocessing with the schemas
+userSchema.unprocessStrategy = (user, { id }) => ({ ...user, login: id });
+
+// Options
+denormalize(1, entities, articleSchema, {
+  memoized: true,
+  maxDepth: 2,
+  onMissing: (id, entitySchema) => ({ id, key: entitySchema.key }),
+  cycles: 'ref',
+  transform: { users: (user, { id }) => ({ ...user, id }) },
+  relations: {
+    articles: { comments: { where: { body: 'First' }, orderBy: 'id', order: 'desc', limit: 2 } },
+  },
+  inverses: { users: { posts: { schema: articleSchema, attribute: 'author' } } },
+});
+
+// @ts-expect-error unknown `onMissing` option
+denormalize(1, entities, articleSchema, { onMissing: 'ignore' });
+
+// @ts-expect-error unknown `aggregate` option
+denormalize(1, entities, articleSchema, { relations: { articles: { comments: { aggregate: 'sum' } } } });
+
+// Whole tables and dependencies
+expectType<string>(denormalizeAll(entities, articleSchema, { where: { author: 1 } })[0].title);
+
+const { result, dependencies } = denormalizeWithDependencies(1, entities, articleSchema);
+expectType<string>(result.title);
+expectType<Array<string | number>>(dependencies.users);
+
+// Cache of `denormalize`
+clear('articles', 1);
+clear('articles');
+clear();
+prune(entities);
+expectType<number | undefined>(cache.articles && cache.articles.size);
+
+// Isolated denormalizers and selectors
+const denormalizer = createDenormalizer({ memoized: true, maxEntries: 100 });
+expectType<string>(denormalizer.denormalize(1, entities, articleSchema).title);
+denormalizer.clear('articles', 1);
+
+interface State {
+  ids: number[];
+  entities: typeof entities;
+}
+
+const selectArticles = createDenormalizeSelector(
+  (state: State) => state.ids,
+  [articleSchema],
+  { getEntities: state => state.entities },
+);
+const state: State = { ids: [1], entities };
+expectType<string>(selectArticles(state)[0].author.name);
+
+const unsubscribe = watch({
+  getState: () => state,
+  subscribe: () => () => undefined,
+}, 1, articleSchema, (value, previous) => {
+  expectType<string>(value.title);
+  expectType<string>(previous.title);
+});
+unsubscribe();
+
+// Relinking keeps the type
+expectType<typeof article>(relink(article, articleSchema));
+assertTrue<Same<ReturnType<typeof relink<typeof article>>, typeof article>>();
+
+// Inspecting schemas
+const graph = inspectSchema({ articles: [articleSchema] });
+expectType<string[]>(graph.cycles[0].entities);
+expectType<string>(graph.cycles[0].relations[0].attribute);
+expectType<'one' | 'many' | 'hasMany' | 'through'>(graph.relations[0].type);
+expectType<string>(graph.toDOT() + graph.toMermaid());
@@ -0,0 +1,46 @@
+import { schema } from 'normalizr';
+
+import { EntitySchema } from '../..';
+import { useDenormalized, withDenormalized } from '../../react';
+
+/**
+ * Type-level tests of the React bindings, only compiled with `tsc`.
+ */
+
+function expectType<T>(value: T): T {
+  return value;
+}
+
+interface User {
+  id: number;
+  name: string;
+}
+
+interface Article {
+  id: number;
+  title: string;
+  author: number;
+}
+
+type UserSchema = EntitySchema<User>;
+type ArticleSchema = EntitySchema<Article, { author: UserSchema }>;
+
+const userSchema = new schema.Entity('users') as UserSchema;
+const articleSchema = new schema.Entity('articles', {
+  author: userSchema,
+}) as ArticleSchema;
+const articleListSchema = [articleSchema];
+
+expectType<string>(useDenormalized(1, articleSchema).author.name);
+expectType<string>(useDenormalized([1, 2], articleListSchema)[0].title);
+expectType<string>(
+  useDenormalized(1, articleSchema, state => state.data.entities).title,
+);
+
+const ConnectedArticle = withDenormalized((props: { id: number }) => props.id, articleSchema, {
+  prop: 'article',
+  selectEntities: state => state.data.entities,
+})((props: { article: Article }) => props.article.title);
+
+expectType<string>(ConnectedArticle.displayName);
+ConnectedArticle({ id: 1 });